@@ -0,0 +1,724 @@
+/**
+ * Hawaiian Language Input - Editor Adapters
+ * =========================================
+ * 
+ * Hooks Hawaiian dead keys and modifier chords into rich text and code
+ * editors through each editor's own input system, instead of patching
+ * their DOM. Edits go through the editor's transactions, so they land in
+ * its undo history and its document model stays in sync.
+ * 
+ * Supported editors:
+ *   - CodeMirror 6          HawaiianInputAdapters.codemirror({ EditorView }, options)
+ *   - ProseMirror           HawaiianInputAdapters.prosemirror({ Plugin }, options)
+ *   - Tiptap                HawaiianInputAdapters.tiptap({ Extension, Plugin }, options)
+ *   - Quill                 HawaiianInputAdapters.quill(quill, options)
+ *   - Monaco                HawaiianInputAdapters.monaco(editor, options)
+ * 
+ * The adapters don't bundle any editor. Pass in the classes from the
+ * editor packages you already load, as shown above.
+ * 
+ * Typing goes through the main library's state machine
+ * (HawaiianInput.createComposer), so editors follow the same rules and
+ * typing options as plain fields.
+ * Each adapter marks its editor with data-no-hawaiian, so a page-wide
+ * HawaiianInput.install() leaves it alone.
+ * 
+ * Requires hawaiian-input.js to be loaded first.
+ * 
+ * @version 1.2.0
+ * @license MIT
+ * @see https://github.com/frankbydesign/hawaiian-input
+ * 
+ * @example
+ * // CodeMirror 6
+ * import { EditorView } from "@codemirror/view";
+ * new EditorView({
+ *   extensions: [basicSetup, HawaiianInputAdapters.codemirror({ EditorView })],
+ *   parent: document.body
+ * });
+ * 
+ * @example
+ * // Tiptap
+ * import { Extension } from "@tiptap/core";
+ * import { Plugin } from "@tiptap/pm/state";
+ * new Editor({
+ *   extensions: [StarterKit, HawaiianInputAdapters.tiptap({ Extension, Plugin })]
+ * });
+ */
+
+(function (global, factory) {
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS (Node), AMD, and browser globals
+  if (typeof module === "object" && typeof module.exports === "object") {
+    // CommonJS/Node.js
+    module.exports = factory(require("./hawaiian-input.js"));
+  } else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./hawaiian-input"], factory);
+  } else {
+    // Browser global
+    global.HawaiianInputAdapters = factory(global.HawaiianInput);
+  }
+})(typeof window !== "undefined" ? window : this, function (HawaiianInput) {
+  "use strict";
+
+  // ===========================================================================
+  // UTILITY FUNCTIONS
+  // ===========================================================================
+
+  /**
+   * Logs a warning message if debug mode is enabled.
+   * 
+   * @param {Object} options - Options of the adapter reporting the warning
+   * @param {string} message - Description of the warning
+   * @param {Error} [error] - Optional error object for stack trace
+   */
+  function warn(options, message, error) {
+    if (options && options.debug) {
+      console.warn("[HawaiianInput]", message, error || "");
+    }
+  }
+
+  /**
+   * Announces a transformation with a cancelable hawaiian:transform
+   * event on the editor's element, like the main library does.
+   * 
+   * @param {HTMLElement} element - The editor's editable element
+   * @param {{source: string, output: string, method: string}} detail - The transformation
+   * @returns {boolean} False if a listener canceled the transformation
+   */
+  function announce(element, detail) {
+    return element.dispatchEvent(new CustomEvent("hawaiian:transform", {
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+      detail: { ...detail, element }
+    }));
+  }
+
+
+  // ===========================================================================
+  // SEQUENCES
+  // ===========================================================================
+
+  /**
+   * Turns the actions of a composer result into editor changes.
+   * 
+   * Positions are document offsets. The typed text goes in from `from`
+   * to `to`: editors that report text before inserting it pass the typed
+   * text, and those that report it afterwards pass null with `to` at its
+   * end. Changes that touch are merged, so a dead key and the character
+   * after it become one replacement.
+   * 
+   * @param {{consumed: boolean, actions: ReadonlyArray<Object>}} result - Composer result
+   * @param {number} from - Start of the typed text
+   * @param {number} to - End of the range it replaces, or of the text itself
+   * @param {string|null} text - The typed text if not yet in the document
+   * @returns {{changes: Array<{from: number, to: number, insert: string}>, cursor: number}|null}
+   *   The changes, in order and in the document's current offsets, and
+   *   where the cursor ends up; null to let the typing through
+   */
+  function toChanges(result, from, to, text) {
+    const changes = [];
+
+    for (const action of result.actions) {
+      if (action.type === "insert") {
+        changes.push({ from: from - action.deleteBefore, to: from, insert: action.text });
+      } else if (action.type === "replace") {
+        const start = from - action.distance;
+        changes.push({ from: start, to: start + action.length, insert: action.text });
+      }
+    }
+
+    if (!result.consumed && changes.length === 0) {
+      return null;
+    }
+    if (result.consumed || text !== null) {
+      changes.push({ from, to, insert: result.consumed ? "" : text });
+    }
+
+    const merged = [];
+    for (const change of changes.sort((a, b) => a.from - b.from)) {
+      const last = merged[merged.length - 1];
+      if (last && last.to === change.from) {
+        merged[merged.length - 1] = { from: last.from, to: change.to, insert: last.insert + change.insert };
+      } else {
+        merged.push(change);
+      }
+    }
+
+    const cursor = merged.reduce((end, change) => end + change.insert.length - (change.to - change.from), to);
+    return { changes: merged, cursor };
+  }
+
+  /**
+   * Creates the typing state shared by all adapters: a composer (see
+   * HawaiianInput.createComposer) built from the adapter options, plus
+   * the position typing is expected at next.
+   * 
+   * Editors report typed text as "text inserted between from and to".
+   * The composer checks that a visible dead key is still in front of the
+   * cursor; a dead key kept out of the text (deadKeyStrict) is abandoned
+   * when the next character is typed anywhere but right after it.
+   * 
+   * @param {Object} [options] - Adapter options
+   * @returns {{input: Function, key: Function, reset: Function}}
+   */
+  function createSequence(options) {
+    const composer = HawaiianInput.createComposer(options);
+
+    /**
+     * Where the next character continues the typing, or null.
+     * @type {number|null}
+     */
+    let position = null;
+
+    return {
+      /**
+       * Handles text the editor is inserting.
+       * 
+       * @param {HTMLElement} element - The editor's editable element
+       * @param {string} text - The typed text
+       * @param {Function} before - Returns the text of the line or block before from
+       * @param {number} from - Start of the range being replaced
+       * @param {number} to - End of the range being replaced
+       * @param {boolean} [inserted=false] - True if the editor already
+       *   inserted the text (from to from + text.length)
+       * @returns {{changes: Array<Object>, cursor: number}|null} Changes
+       *   to make instead (see toChanges), or null to let the typing through
+       */
+      input(element, text, before, from, to, inserted) {
+        const expected = position;
+        position = null;
+
+        if (text.length !== 1 || from !== to || from !== expected) {
+          composer.reset("abandon");
+        }
+        if (text.length !== 1) {
+          return null;
+        }
+
+        const end = inserted ? from + text.length : to;
+        const result = composer.input(text, { before, confirm: (detail) => announce(element, detail) });
+        const change = toChanges(result, from, end, inserted ? null : text);
+        position = change ? change.cursor : from + text.length;
+        return change;
+      },
+
+      /**
+       * Looks up a modifier chord for a keydown event.
+       * 
+       * @param {HTMLElement} element - The editor's editable element
+       * @param {KeyboardEvent} event - The keydown event
+       * @returns {string|null} Text to insert in place of the selection, or null
+       */
+      key(element, event) {
+        if (event.isComposing) {
+          return null;
+        }
+
+        const result = composer.key(event, { confirm: (detail) => announce(element, detail) });
+        const action = result.actions.find((item) => item.type === "insert");
+        if (!result.consumed || !action) {
+          return null;
+        }
+
+        composer.reset("transform");
+        position = null;
+        return action.text;
+      },
+
+      /** Abandons any armed dead key. */
+      reset() {
+        composer.reset("focus");
+        position = null;
+      }
+    };
+  }
+
+
+  // ===========================================================================
+  // CODEMIRROR 6
+  // ===========================================================================
+
+  /**
+   * Creates a CodeMirror 6 extension.
+   * 
+   * Dead keys go through EditorView.inputHandler and chords through a
+   * keydown handler. Both dispatch a normal transaction tagged
+   * "input.type", so undo and collaborative editing treat them as typing.
+   * 
+   * @param {Object} modules - Classes from @codemirror/view
+   * @param {Function} modules.EditorView - The EditorView class
+   * @param {Object} [options] - Adapter options: the typing options of
+   *   install() (keymap, mode, methods, deadKeyStrict, autoOkina) and debug
+   * @param {boolean} [options.debug=false] - Log warnings to console
+   * @returns {Array} Extension to add to the editor's extensions
+   * @throws {TypeError} If EditorView is not provided
+   */
+  function codemirror(modules, options) {
+    const EditorView = modules && modules.EditorView;
+    if (typeof EditorView !== "function") {
+      throw new TypeError("HawaiianInputAdapters.codemirror() needs { EditorView } from @codemirror/view");
+    }
+
+    const sequence = createSequence(options);
+
+    return [
+      EditorView.contentAttributes.of({ "data-no-hawaiian": "" }),
+
+      EditorView.inputHandler.of((view, from, to, text) => {
+        try {
+          if (view.composing) {
+            sequence.reset();
+            return false;
+          }
+
+          const before = () => view.state.sliceDoc(view.state.doc.lineAt(from).from, from);
+          const change = sequence.input(view.contentDOM, text, before, from, to);
+          if (!change) {
+            return false;
+          }
+
+          view.dispatch({
+            changes: change.changes,
+            selection: { anchor: change.cursor },
+            userEvent: "input.type",
+            scrollIntoView: true
+          });
+          return true;
+        } catch (error) {
+          warn(options, "Error in CodeMirror input handler", error);
+          return false;
+        }
+      }),
+
+      EditorView.domEventHandlers({
+        keydown(event, view) {
+          try {
+            const output = sequence.key(view.contentDOM, event);
+            if (output === null) {
+              return false;
+            }
+
+            event.preventDefault();
+            view.dispatch(view.state.replaceSelection(output), { userEvent: "input.type", scrollIntoView: true });
+            return true;
+          } catch (error) {
+            warn(options, "Error in CodeMirror keydown handler", error);
+            return false;
+          }
+        },
+
+        blur() {
+          sequence.reset();
+          return false;
+        }
+      })
+    ];
+  }
+
+
+  // ===========================================================================
+  // PROSEMIRROR AND TIPTAP
+  // ===========================================================================
+
+  /**
+   * Creates a ProseMirror plugin.
+   * 
+   * Dead keys go through the handleTextInput prop and chords through
+   * handleKeyDown. Replacements use tr.insertText, which keeps the marks
+   * (bold, italic, links) of the text being typed. A dead key never pairs
+   * with a character in another paragraph or across an inline node, which
+   * the composer sees as "\ufffc".
+   * 
+   * @param {Object} modules - Classes from prosemirror-state
+   * @param {Function} modules.Plugin - The Plugin class
+   * @param {Object} [options] - Adapter options (see codemirror())
+   * @returns {Object} Plugin to add to the editor state's plugins
+   * @throws {TypeError} If Plugin is not provided
+   */
+  function prosemirror(modules, options) {
+    const Plugin = modules && modules.Plugin;
+    if (typeof Plugin !== "function") {
+      throw new TypeError("HawaiianInputAdapters.prosemirror() needs { Plugin } from prosemirror-state");
+    }
+
+    const sequence = createSequence(options);
+
+    return new Plugin({
+      props: {
+        attributes: { "data-no-hawaiian": "" },
+
+        handleTextInput(view, from, to, text) {
+          try {
+            // Inline nodes count as one character, so offsets match positions
+            const before = () => view.state.doc.textBetween(view.state.doc.resolve(from).start(), from, "\n", "\ufffc");
+            const change = sequence.input(view.dom, text, before, from, to);
+            if (!change) {
+              return false;
+            }
+
+            // Later changes first, so earlier positions stay valid
+            const tr = view.state.tr;
+            for (const { from: start, to: end, insert } of change.changes.slice().reverse()) {
+              tr.insertText(insert, start, end);
+            }
+            view.dispatch(tr.scrollIntoView());
+            return true;
+          } catch (error) {
+            warn(options, "Error in ProseMirror text input handler", error);
+            return false;
+          }
+        },
+
+        handleKeyDown(view, event) {
+          try {
+            const output = sequence.key(view.dom, event);
+            if (output === null) {
+              return false;
+            }
+
+            view.dispatch(view.state.tr.insertText(output).scrollIntoView());
+            return true;
+          } catch (error) {
+            warn(options, "Error in ProseMirror keydown handler", error);
+            return false;
+          }
+        },
+
+        handleDOMEvents: {
+          blur() {
+            sequence.reset();
+            return false;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Creates a Tiptap extension wrapping the ProseMirror plugin.
+   * 
+   * @param {Object} modules - Classes from Tiptap
+   * @param {Object} modules.Extension - Extension from @tiptap/core
+   * @param {Function} modules.Plugin - Plugin from @tiptap/pm/state
+   * @param {Object} [options] - Adapter options (see codemirror())
+   * @returns {Object} Extension to add to the editor's extensions
+   * @throws {TypeError} If Extension or Plugin is not provided
+   */
+  function tiptap(modules, options) {
+    const Extension = modules && modules.Extension;
+    if (!Extension || typeof Extension.create !== "function") {
+      throw new TypeError("HawaiianInputAdapters.tiptap() needs { Extension } from @tiptap/core");
+    }
+
+    const plugin = prosemirror(modules, options);
+
+    return Extension.create({
+      name: "hawaiianInput",
+      addProseMirrorPlugins() {
+        return [plugin];
+      }
+    });
+  }
+
+
+  // ===========================================================================
+  // QUILL
+  // ===========================================================================
+
+  /**
+   * Reads a single typed character out of a Quill delta.
+   * 
+   * @param {Object} delta - Delta from a text-change event
+   * @returns {{index: number, text: string}|null} The character and where it went
+   */
+  function getTypedCharacter(delta) {
+    let index = 0;
+    let text = null;
+
+    for (const op of delta.ops || []) {
+      if (text === null && typeof op.retain === "number" && !op.attributes) {
+        index += op.retain;
+      } else if (text === null && typeof op.insert === "string") {
+        text = op.insert;
+      } else {
+        return null;
+      }
+    }
+
+    return text !== null && text.length === 1 ? { index, text } : null;
+  }
+
+  /**
+   * Reads the text of a Quill line in front of an index. Embeds such as
+   * images count as one "\ufffc" each, as they do in Quill's indexes.
+   * 
+   * @param {Object} editor - The Quill instance
+   * @param {number} index - Document index
+   * @returns {string} Text from the start of the line to index
+   */
+  function getLineTextBefore(editor, index) {
+    const [, offset] = editor.getLine(index);
+    const start = index - (offset || 0);
+    return editor.getContents(start, index - start).ops
+      .map((op) => (typeof op.insert === "string" ? op.insert : "\ufffc"))
+      .join("");
+  }
+
+  /**
+   * Connects a Quill editor.
+   * 
+   * Quill has no hook before text is inserted, so dead keys are handled
+   * from text-change: the typed character is already in the document and
+   * is replaced together with the dead key, keeping its formatting.
+   * Changes use the "user" source so they are part of Quill's history.
+   * 
+   * @param {Object} editor - The Quill instance
+   * @param {Object} [options] - Adapter options (see codemirror())
+   * @returns {{detach: Function}} Handle to disconnect the editor
+   * @throws {TypeError} If editor is not a Quill instance
+   */
+  function quill(editor, options) {
+    if (!editor || typeof editor.on !== "function" || !editor.root) {
+      throw new TypeError("HawaiianInputAdapters.quill() expects a Quill instance");
+    }
+
+    const sequence = createSequence(options);
+    let isApplying = false;
+
+    /**
+     * Makes changes (see toChanges), flagged as our own, keeping the
+     * formatting of the text they replace.
+     * @param {Array<{from: number, to: number, insert: string}>} changes - Changes, in order
+     * @param {number} cursor - Where to leave the cursor
+     */
+    function replace(changes, cursor) {
+      isApplying = true;
+      try {
+        // Later changes first, so earlier indexes stay valid
+        for (const { from, to, insert } of changes.slice().reverse()) {
+          const formats = editor.getFormat(from, Math.max(to - from, 1));
+          if (to > from) {
+            editor.deleteText(from, to - from, "user");
+          }
+          if (insert) {
+            editor.insertText(from, insert, formats, "user");
+          }
+        }
+        editor.setSelection(cursor, 0, "silent");
+      } finally {
+        isApplying = false;
+      }
+    }
+
+    function handleTextChange(delta, oldDelta, source) {
+      try {
+        if (isApplying || source !== "user") {
+          return;
+        }
+
+        const typed = getTypedCharacter(delta);
+        if (!typed) {
+          sequence.reset();
+          return;
+        }
+
+        const before = () => getLineTextBefore(editor, typed.index);
+        const change = sequence.input(editor.root, typed.text, before, typed.index, typed.index, true);
+        if (change) {
+          replace(change.changes, change.cursor);
+        }
+      } catch (error) {
+        warn(options, "Error in Quill text-change handler", error);
+      }
+    }
+
+    function handleKeyDown(event) {
+      try {
+        const range = editor.getSelection();
+        const output = range ? sequence.key(editor.root, event) : null;
+        if (output === null) {
+          return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        replace([{ from: range.index, to: range.index + range.length, insert: output }], range.index + output.length);
+      } catch (error) {
+        warn(options, "Error in Quill keydown handler", error);
+      }
+    }
+
+    function handleBlur() {
+      sequence.reset();
+    }
+
+    editor.on("text-change", handleTextChange);
+    editor.root.addEventListener("keydown", handleKeyDown, true);
+    editor.root.addEventListener("blur", handleBlur);
+    editor.root.setAttribute("data-no-hawaiian", "");
+
+    return Object.freeze({
+      /** Disconnects the editor. */
+      detach() {
+        editor.off("text-change", handleTextChange);
+        editor.root.removeEventListener("keydown", handleKeyDown, true);
+        editor.root.removeEventListener("blur", handleBlur);
+        editor.root.removeAttribute("data-no-hawaiian");
+        sequence.reset();
+      }
+    });
+  }
+
+
+  // ===========================================================================
+  // MONACO
+  // ===========================================================================
+
+  /**
+   * Converts two model offsets into a Monaco range.
+   * 
+   * @param {Object} model - The editor's text model
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {Object} IRange
+   */
+  function rangeFromOffsets(model, start, end) {
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(end);
+    return {
+      startLineNumber: from.lineNumber,
+      startColumn: from.column,
+      endLineNumber: to.lineNumber,
+      endColumn: to.column
+    };
+  }
+
+  /**
+   * Connects a Monaco editor.
+   * 
+   * Dead keys are handled from onDidChangeModelContent. Monaco's cursor
+   * gets confused by edits made inside that event, so the replacement is
+   * made with executeEdits just after it, as an undo step of its own: the
+   * first undo brings back the typed keys (`a), the next removes them.
+   * Undo, redo and multi-cursor edits are left alone.
+   * 
+   * @param {Object} editor - The Monaco code editor
+   * @param {Object} [options] - Adapter options (see codemirror())
+   * @returns {{detach: Function}} Handle to disconnect the editor
+   * @throws {TypeError} If editor is not a Monaco editor
+   */
+  function monaco(editor, options) {
+    if (!editor || typeof editor.onDidChangeModelContent !== "function") {
+      throw new TypeError("HawaiianInputAdapters.monaco() expects a Monaco code editor");
+    }
+
+    const sequence = createSequence(options);
+    const domNode = editor.getDomNode && editor.getDomNode();
+    const textarea = domNode && domNode.querySelector("textarea");
+    let isApplying = false;
+
+    /**
+     * Replaces ranges, flagged as our own change.
+     * @param {Array<{range: Object, text: string}>} edits - Ranges and their replacement text
+     */
+    function replace(edits) {
+      isApplying = true;
+      try {
+        editor.executeEdits("hawaiian-input", edits.map(({ range, text }) => ({ range, text, forceMoveMarkers: true })));
+      } finally {
+        isApplying = false;
+      }
+    }
+
+    function handleContentChange(event) {
+      try {
+        if (isApplying) {
+          return;
+        }
+        if (event.isUndoing || event.isRedoing || event.isFlush || event.changes.length !== 1) {
+          sequence.reset();
+          return;
+        }
+
+        const model = editor.getModel();
+        const { text, rangeOffset, rangeLength } = event.changes[0];
+        const before = () => {
+          const position = model.getPositionAt(rangeOffset);
+          return model.getValueInRange({
+            startLineNumber: position.lineNumber,
+            startColumn: 1,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+          });
+        };
+        const change = sequence.input(domNode || textarea, text, before, rangeOffset, rangeOffset + rangeLength, true);
+        if (!change) {
+          return;
+        }
+
+        // Editing inside the change event confuses Monaco's cursor; wait for it to finish
+        const version = model.getVersionId();
+        Promise.resolve().then(() => {
+          if (editor.getModel() === model && model.getVersionId() === version) {
+            replace(change.changes.map(({ from, to, insert }) => ({ range: rangeFromOffsets(model, from, to), text: insert })));
+          }
+        });
+      } catch (error) {
+        warn(options, "Error in Monaco content change handler", error);
+      }
+    }
+
+    function handleKeyDown(event) {
+      try {
+        const output = sequence.key(domNode || textarea, event.browserEvent);
+        if (output === null) {
+          return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        replace(editor.getSelections().map((range) => ({ range, text: output })));
+      } catch (error) {
+        warn(options, "Error in Monaco keydown handler", error);
+      }
+    }
+
+    const disposables = [
+      editor.onDidChangeModelContent(handleContentChange),
+      editor.onKeyDown(handleKeyDown),
+      editor.onDidBlurEditorText(() => sequence.reset())
+    ];
+    if (textarea) {
+      textarea.setAttribute("data-no-hawaiian", "");
+    }
+
+    return Object.freeze({
+      /** Disconnects the editor. */
+      detach() {
+        for (const disposable of disposables) {
+          disposable.dispose();
+        }
+        if (textarea) {
+          textarea.removeAttribute("data-no-hawaiian");
+        }
+        sequence.reset();
+      }
+    });
+  }
+
+
+  // ===========================================================================
+  // EXPORT
+  // ===========================================================================
+
+  return Object.freeze({
+    codemirror,
+    prosemirror,
+    tiptap,
+    quill,
+    monaco
+  });
+});
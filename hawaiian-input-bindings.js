@@ -0,0 +1,344 @@
+/**
+ * Hawaiian Language Input - Framework Bindings
+ * ============================================
+ * 
+ * Per-element Hawaiian input for React, Vue and Svelte components. Each
+ * binding attaches a HawaiianInput instance (see HawaiianInput.attach())
+ * when the element mounts, updates it when the options change, and
+ * detaches it when the element unmounts.
+ * 
+ *   - React    HawaiianInputBindings.react(React) → { useHawaiianInput, HawaiianField }
+ *   - Vue      HawaiianInputBindings.vue          → v-hawaiian directive (Vue 2 and 3)
+ *   - Svelte   HawaiianInputBindings.svelte       → use:hawaiian action
+ * 
+ * Controlled inputs stay in sync: every change made by the library is
+ * reported with an input event that React's onChange, Vue's v-model and
+ * Svelte's bind:value all pick up.
+ * 
+ * Requires hawaiian-input.js to be loaded first.
+ * 
+ * @version 1.2.0
+ * @license MIT
+ * @see https://github.com/frankbydesign/hawaiian-input
+ * 
+ * @example
+ * // React
+ * const { useHawaiianInput } = HawaiianInputBindings.react(React);
+ * function Answer() {
+ *   const [value, setValue] = React.useState("");
+ *   const ref = useHawaiianInput({ deadKeyStrict: true });
+ *   return <input ref={ref} value={value} onChange={(e) => setValue(e.target.value)} />;
+ * }
+ * 
+ * @example
+ * // Vue
+ * app.use(HawaiianInputBindings.vue);
+ * // <input v-model="answer" v-hawaiian="{ deadKeyStrict: true }">
+ * 
+ * @example
+ * // Svelte
+ * // <input bind:value={answer} use:hawaiian={{ deadKeyStrict: true }}>
+ * const hawaiian = HawaiianInputBindings.svelte;
+ */
+
+(function (global, factory) {
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS (Node), AMD, and browser globals
+  if (typeof module === "object" && typeof module.exports === "object") {
+    // CommonJS/Node.js
+    module.exports = factory(require("./hawaiian-input.js"));
+  } else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./hawaiian-input"], factory);
+  } else {
+    // Browser global
+    global.HawaiianInputBindings = factory(global.HawaiianInput);
+  }
+})(typeof window !== "undefined" ? window : this, function (HawaiianInput) {
+  "use strict";
+
+  // ===========================================================================
+  // UTILITY FUNCTIONS
+  // ===========================================================================
+
+  /**
+   * Checks whether a value is a plain object (an object literal), as
+   * opposed to an array, a DOM node or a class instance.
+   * 
+   * @param {*} value - The value to check
+   * @returns {boolean} True for plain objects
+   */
+  function isPlainObject(value) {
+    if (typeof value !== "object" || value === null) {
+      return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Compares two option values. Arrays and plain objects are compared
+   * item by item, so an inline keymap, suggest or inputTypes literal that
+   * is rebuilt on every render still counts as the same value. Functions
+   * only have to both be functions: the binding calls the latest one
+   * through a stable wrapper (see toAttachOptions()). Anything else is
+   * compared by identity.
+   * 
+   * @param {*} a - A value
+   * @param {*} b - The value to compare it with
+   * @returns {boolean} True if the values are the same for attach()
+   */
+  function sameValue(a, b) {
+    if (Object.is(a, b)) {
+      return true;
+    }
+    if (typeof a === "function" && typeof b === "function") {
+      return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, index) => sameValue(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+    }
+    return false;
+  }
+
+  /**
+   * Compares two options objects. Missing options count as no options.
+   * 
+   * @param {Object} [a] - Options for HawaiianInput.attach()
+   * @param {Object} [b] - Options to compare them with
+   * @returns {boolean} True if both give the same instance settings
+   */
+  function sameOptions(a, b) {
+    return sameValue(
+      isPlainObject(a) ? a : {},
+      isPlainObject(b) ? b : {}
+    );
+  }
+
+  /**
+   * Keeps one attached instance per element and keeps its options up to
+   * date.
+   * 
+   * @param {HTMLElement} element - Element to attach to
+   * @param {Object} [options] - Options for HawaiianInput.attach()
+   * @returns {{update: Function, destroy: Function}}
+   */
+  function bind(element, options) {
+    let current = isPlainObject(options) ? options : {};
+
+    /**
+     * Copies options for the instance, with any shouldHandle function
+     * replaced by a wrapper that calls the latest one. A component that
+     * passes a new arrow function on every render then doesn't have to
+     * update the instance.
+     * 
+     * @param {Object} source - Options from the component
+     * @returns {Object} Options for attach() or updateOptions()
+     */
+    function toAttachOptions(source) {
+      const copy = { ...source };
+      if (typeof source.shouldHandle === "function") {
+        copy.shouldHandle = (field, eligible) => current.shouldHandle(field, eligible);
+      }
+      return copy;
+    }
+
+    let instance = HawaiianInput.attach(element, toAttachOptions(current));
+
+    return {
+      /**
+       * Applies new options, if they differ. The instance is updated in
+       * place; it is only re-attached when an option was removed, since
+       * updateOptions() keeps options that are left out.
+       * @param {Object} [nextOptions] - New options
+       */
+      update(nextOptions) {
+        const previous = current;
+        current = isPlainObject(nextOptions) ? nextOptions : {};
+        if (sameOptions(previous, current)) {
+          return;
+        }
+
+        const removed = Object.keys(previous).some((key) => !Object.prototype.hasOwnProperty.call(current, key));
+        if (removed) {
+          instance.detach();
+          instance = HawaiianInput.attach(element, toAttachOptions(current));
+        } else {
+          instance.updateOptions(toAttachOptions(current));
+        }
+      },
+
+      /** Detaches the instance. */
+      destroy() {
+        instance.detach();
+      }
+    };
+  }
+
+
+  // ===========================================================================
+  // REACT
+  // ===========================================================================
+
+  /**
+   * Creates the React hook and component.
+   * 
+   * React is passed in rather than imported so the bindings work with
+   * whatever copy of React the app uses (and without a bundler).
+   * 
+   * @param {Object} React - The React module
+   * @returns {{useHawaiianInput: Function, HawaiianField: Object}}
+   * @throws {TypeError} If React is not provided
+   * 
+   * @example
+   * const { HawaiianField } = HawaiianInputBindings.react(React);
+   * <HawaiianField as="textarea" hawaiian={{ autoOkina: true }} value={text} onChange={onChange} />
+   */
+  function react(React) {
+    if (!React || typeof React.useRef !== "function") {
+      throw new TypeError("HawaiianInputBindings.react() expects the React module");
+    }
+
+    /**
+     * Hook returning a callback ref. Attach it to an input, textarea,
+     * contentEditable element or a container of fields.
+     * 
+     * @param {Object} [options] - Options for HawaiianInput.attach()
+     * @returns {Function} Callback ref
+     */
+    function useHawaiianInput(options) {
+      const binding = React.useRef(null);
+      const latest = React.useRef(options);
+
+      const ref = React.useCallback((element) => {
+        if (binding.current) {
+          binding.current.destroy();
+          binding.current = null;
+        }
+        if (element) {
+          binding.current = bind(element, latest.current);
+        }
+      }, []);
+
+      // After every commit: remember the options for the next mount and
+      // hand them to the binding, which ignores them if nothing changed
+      React.useEffect(() => {
+        latest.current = options;
+        if (binding.current) {
+          binding.current.update(options);
+        }
+      });
+
+      return ref;
+    }
+
+    /**
+     * Input component with Hawaiian input attached. Renders an <input>
+     * by default; use the as prop for "textarea" or another element.
+     * Options go in the hawaiian prop; everything else is passed through.
+     */
+    const HawaiianField = React.forwardRef(function HawaiianField(props, forwardedRef) {
+      const { as = "input", hawaiian, ...rest } = props;
+      const hawaiianRef = useHawaiianInput(hawaiian);
+
+      const ref = React.useCallback((element) => {
+        hawaiianRef(element);
+        if (typeof forwardedRef === "function") {
+          forwardedRef(element);
+        } else if (forwardedRef) {
+          forwardedRef.current = element;
+        }
+      }, [hawaiianRef, forwardedRef]);
+
+      return React.createElement(as, { ...rest, ref });
+    });
+
+    return Object.freeze({ useHawaiianInput, HawaiianField });
+  }
+
+
+  // ===========================================================================
+  // VUE
+  // ===========================================================================
+
+  /**
+   * Bindings created by the Vue directive, per element.
+   * @type {WeakMap<HTMLElement, Object>}
+   */
+  const vueBindings = new WeakMap();
+
+  function vueMounted(element, binding) {
+    vueBindings.set(element, bind(element, binding.value));
+  }
+
+  function vueUpdated(element, binding) {
+    const existing = vueBindings.get(element);
+    if (existing) {
+      existing.update(binding.value);
+    }
+  }
+
+  function vueUnmounted(element) {
+    const existing = vueBindings.get(element);
+    if (existing) {
+      existing.destroy();
+      vueBindings.delete(element);
+    }
+  }
+
+  /**
+   * The v-hawaiian directive. Its value is the options object.
+   * Registered globally with app.use(HawaiianInputBindings.vue), or
+   * locally as a directive. Includes the Vue 2 hook names too.
+   */
+  const vue = Object.freeze({
+    mounted: vueMounted,
+    updated: vueUpdated,
+    unmounted: vueUnmounted,
+
+    // Vue 2
+    inserted: vueMounted,
+    componentUpdated: vueUpdated,
+    unbind: vueUnmounted,
+
+    /**
+     * Vue plugin entry point: registers the directive as v-hawaiian.
+     * @param {Object} app - The Vue app (or Vue constructor in Vue 2)
+     */
+    install(app) {
+      app.directive("hawaiian", vue);
+    }
+  });
+
+
+  // ===========================================================================
+  // SVELTE
+  // ===========================================================================
+
+  /**
+   * Svelte action: use:hawaiian={options}.
+   * 
+   * @param {HTMLElement} node - The element the action is used on
+   * @param {Object} [options] - Options for HawaiianInput.attach()
+   * @returns {{update: Function, destroy: Function}}
+   */
+  function svelte(node, options) {
+    return bind(node, options);
+  }
+
+
+  // ===========================================================================
+  // EXPORT
+  // ===========================================================================
+
+  return Object.freeze({
+    react,
+    vue,
+    svelte
+  });
+});
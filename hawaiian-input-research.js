@@ -0,0 +1,585 @@
+/**
+ * Hawaiian Language Input - Research Logger
+ * =========================================
+ * 
+ * Opt-in logging of how students produce kahakō and ʻokina, for
+ * assessment research. The logger listens to the events the library
+ * already dispatches (hawaiian:transform, hawaiian:armed and
+ * hawaiian:reset) and records, per field:
+ * 
+ *   - armed        a dead key was typed
+ *   - transform    a Hawaiian character was produced while typing, with
+ *                  the method ("deadkey", "modifier", "postfix", ...)
+ *   - escape       a dead key was typed literally (` + space)
+ *   - abandon      a dead key was followed by a character it doesn't modify
+ *   - correction   the next edit after a transform deleted or undid it
+ * 
+ * Records hold the dead keys, methods, timings and the Hawaiian
+ * characters produced (ā ē ī ō ū Ā Ē Ī Ō Ū ʻ), never the text around
+ * them. Anything that identifies a student comes only from the host:
+ * the metadata option and the field names.
+ * 
+ * Requires hawaiian-input.js to be loaded first.
+ * 
+ * @version 1.2.0
+ * @license MIT
+ * @see https://github.com/frankbydesign/hawaiian-input
+ * 
+ * @example
+ * const logger = HawaiianInputResearch.createLogger({
+ *   metadata: { study: "kaeo-2026", session: sessionId },
+ *   onFlush: (json) => navigator.sendBeacon("/research/log", json)
+ * });
+ * 
+ * // When the test section ends
+ * logger.flush();
+ */
+
+(function (global, factory) {
+  // Universal Module Definition (UMD) pattern
+  // Supports CommonJS (Node), AMD, and browser globals
+  if (typeof module === "object" && typeof module.exports === "object") {
+    // CommonJS/Node.js
+    module.exports = factory(require("./hawaiian-input.js"));
+  } else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./hawaiian-input"], factory);
+  } else {
+    // Browser global
+    global.HawaiianInputResearch = factory(global.HawaiianInput);
+  }
+})(typeof window !== "undefined" ? window : this, function (HawaiianInput) {
+  "use strict";
+
+  // ===========================================================================
+  // CONSTANTS
+  // ===========================================================================
+
+  /**
+   * The characters the library produces: vowels with a kahakō in both
+   * cases, and the ʻokina. Only these are copied into records.
+   */
+  const HAWAIIAN_CHARACTERS = Object.freeze(new Set(Object.values(HawaiianInput.defaultKeymap.chords)));
+
+  /**
+   * Library events the logger listens to.
+   */
+  const LIBRARY_EVENTS = Object.freeze(["hawaiian:armed", "hawaiian:transform", "hawaiian:reset"]);
+
+  /**
+   * hawaiian:transform methods recorded as transforms: the ones that
+   * happen as a student types. A revert is the student taking one back,
+   * recorded as the correction it is; palette insertions and changes to
+   * pasted, converted or submitted text aren't typing.
+   */
+  const TYPING_METHODS = Object.freeze(new Set(["deadkey", "modifier", "postfix", "fallback", "autookina", "suggest", "touch"]));
+
+  /**
+   * Default options for createLogger().
+   */
+  const DEFAULT_OPTIONS = Object.freeze({
+    /**
+     * Document or element to listen on.
+     * @type {EventTarget|null}
+     */
+    target: null,
+
+    /**
+     * Names the field a record belongs to. Called with the field; the
+     * default uses data-hawaiian-field, then name, then id, and numbers
+     * fields that have none ("field-1").
+     * @type {Function|null}
+     */
+    fieldKey: null,
+
+    /**
+     * Data from the host included in every flush, such as a study or
+     * session id. Must be serializable to JSON.
+     * @type {Object|null}
+     */
+    metadata: null,
+
+    /**
+     * Called with the JSON text of each flush.
+     * @type {Function|null}
+     */
+    onFlush: null,
+
+    /**
+     * Milliseconds between automatic flushes, or 0 for none.
+     * @type {number}
+     */
+    flushInterval: 0,
+
+    /**
+     * Number of records after which the logger flushes on its own,
+     * or 0 for no limit. Only used with onFlush.
+     * @type {number}
+     */
+    maxRecords: 500,
+
+    /**
+     * When true, records are flushed when the page is hidden (tab
+     * switched, window closed). Only used with onFlush.
+     * @type {boolean}
+     */
+    flushOnHide: true,
+
+    /**
+     * When true, logs warnings to the console for debugging.
+     * @type {boolean}
+     */
+    debug: false
+  });
+
+
+  // ===========================================================================
+  // UTILITY FUNCTIONS
+  // ===========================================================================
+
+  /**
+   * Logs a warning message if debug mode is enabled.
+   * 
+   * @param {Object} options - Options of the logger reporting the warning
+   * @param {string} message - Description of the warning
+   * @param {Error} [error] - Optional error object for stack trace
+   */
+  function warn(options, message, error) {
+    if (options && options.debug) {
+      console.warn("[HawaiianInput]", message, error || "");
+    }
+  }
+
+  /**
+   * Finds the field an input event is really for, looking into open
+   * shadow roots the way the main library does.
+   * 
+   * @param {Event} event - The DOM event
+   * @returns {EventTarget} The innermost target
+   */
+  function getEventTarget(event) {
+    const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+    return path.length > 0 ? path[0] : event.target;
+  }
+
+  /**
+   * Keeps only the Hawaiian characters of a text, so records show what
+   * was produced without the words around it.
+   * 
+   * @param {string} text - Output of a transformation
+   * @returns {string} Its kahakō vowels and ʻokina, in order
+   */
+  function getHawaiianCharacters(text) {
+    return [...(text || "")].filter((char) => HAWAIIAN_CHARACTERS.has(char)).join("");
+  }
+
+  /**
+   * Reads a clock in milliseconds, with sub-millisecond precision where
+   * the browser offers it.
+   * 
+   * @returns {number} Milliseconds
+   */
+  function now() {
+    return typeof performance !== "undefined" && typeof performance.now === "function"
+      ? performance.now()
+      : Date.now();
+  }
+
+  /**
+   * Validates and merges user options with defaults.
+   * 
+   * @param {Object} [userOptions] - Options passed to createLogger()
+   * @returns {Object} Validated and merged options
+   */
+  function validateOptions(userOptions) {
+    const merged = { ...DEFAULT_OPTIONS };
+
+    if (typeof userOptions !== "object" || userOptions === null) {
+      return merged;
+    }
+
+    merged.debug = userOptions.debug === true;
+
+    if (userOptions.target && typeof userOptions.target.addEventListener === "function") {
+      merged.target = userOptions.target;
+    } else if (userOptions.target !== undefined) {
+      warn(merged, "target must be a document or element, using the document");
+    }
+
+    for (const key of ["fieldKey", "onFlush"]) {
+      if (typeof userOptions[key] === "function" || userOptions[key] === null) {
+        merged[key] = userOptions[key];
+      } else if (userOptions[key] !== undefined) {
+        warn(merged, `${key} must be a function or null`);
+      }
+    }
+
+    if (typeof userOptions.metadata === "object") {
+      merged.metadata = userOptions.metadata;
+    } else if (userOptions.metadata !== undefined) {
+      warn(merged, "metadata must be an object");
+    }
+
+    for (const key of ["flushInterval", "maxRecords"]) {
+      if (typeof userOptions[key] === "number" && userOptions[key] >= 0) {
+        merged[key] = userOptions[key];
+      } else if (userOptions[key] !== undefined) {
+        warn(merged, `${key} must be a number of 0 or more`);
+      }
+    }
+
+    if (typeof userOptions.flushOnHide === "boolean") {
+      merged.flushOnHide = userOptions.flushOnHide;
+    }
+
+    return merged;
+  }
+
+
+  // ===========================================================================
+  // LOGGER
+  // ===========================================================================
+
+  /**
+   * Starts recording.
+   * 
+   * Every record has a type, the time in milliseconds since the logger
+   * was created, and type-specific data:
+   * 
+   *   { type: "armed", time, key, suppressed }
+   *   { type: "transform", time, method, characters, key, latency }
+   *   { type: "escape", time, key, latency }
+   *   { type: "abandon", time, key, latency }
+   *   { type: "correction", time, method, characters, input, latency }
+   * 
+   * key is the dead key, or null for methods without one. latency is the
+   * time since the dead key was typed (or, for a correction, since the
+   * transform it undid), or null. input is "delete" or "undo".
+   * 
+   * flush() returns the records as JSON and starts a new batch:
+   * 
+   *   {
+   *     "version": "1.2.0",
+   *     "metadata": { ... },
+   *     "startedAt": "2026-10-19T08:00:00.000Z",
+   *     "flushedAt": "2026-10-19T08:20:00.000Z",
+   *     "fields": { "question-1": [ ...records ] }
+   *   }
+   * 
+   * @param {Object} [options] - Logger options (see DEFAULT_OPTIONS)
+   * @returns {{flush: Function, getRecords: Function, destroy: Function}}
+   * 
+   * @example
+   * const logger = HawaiianInputResearch.createLogger({ metadata: { session: "a1b2" } });
+   * submitButton.addEventListener("click", () => upload(logger.flush()));
+   */
+  function createLogger(options) {
+    const config = validateOptions(options);
+    const target = config.target || (typeof document !== "undefined" ? document : null);
+    const doc = target && (target.nodeType === 9 ? target : target.ownerDocument);
+    const view = doc && doc.defaultView;
+    const startedAt = new Date().toISOString();
+    const start = now();
+
+    /**
+     * Records of the current batch, by field key.
+     * @type {Map<string, Object[]>}
+     */
+    let fields = new Map();
+    let count = 0;
+
+    /**
+     * Keys given to fields without a name (see defaultFieldKey).
+     * @type {WeakMap<HTMLElement, string>}
+     */
+    const generatedKeys = new WeakMap();
+    let nextKey = 1;
+
+    /**
+     * The dead key armed in each field, with the time it was typed.
+     * @type {WeakMap<HTMLElement, {key: string, time: number}>}
+     */
+    const armedKeys = new WeakMap();
+
+    /**
+     * The last transform in each field, until the next edit there, so a
+     * delete or undo right after it counts as a correction.
+     * @type {WeakMap<HTMLElement, {method: string, characters: string, time: number}>}
+     */
+    const lastTransforms = new WeakMap();
+
+    let timer = null;
+
+
+    // ----- HELPERS -----
+
+    /**
+     * Names a field from its markup, or numbers it.
+     * 
+     * @param {HTMLElement} element - The field
+     * @returns {string} The field key
+     */
+    function defaultFieldKey(element) {
+      const named = (element.getAttribute && element.getAttribute("data-hawaiian-field")) || element.name || element.id;
+      if (typeof named === "string" && named) {
+        return named;
+      }
+      if (!generatedKeys.has(element)) {
+        generatedKeys.set(element, `field-${nextKey++}`);
+      }
+      return generatedKeys.get(element);
+    }
+
+    /**
+     * Adds a record to a field's list.
+     * 
+     * @param {HTMLElement} element - The field
+     * @param {Object} data - The record, without its time
+     * @param {number} time - When it happened (see now())
+     */
+    function record(element, data, time) {
+      let key = null;
+      try {
+        key = config.fieldKey ? config.fieldKey(element) : defaultFieldKey(element);
+      } catch (error) {
+        warn(config, "Error in fieldKey", error);
+      }
+      key = key === null || key === undefined ? defaultFieldKey(element) : String(key);
+
+      if (!fields.has(key)) {
+        fields.set(key, []);
+      }
+      fields.get(key).push({ type: data.type, time: Math.round(time - start), ...data });
+      count++;
+
+      if (config.onFlush && config.maxRecords > 0 && count >= config.maxRecords) {
+        flush();
+      }
+    }
+
+    /**
+     * Time since a dead key was typed in a field, or null.
+     * 
+     * @param {HTMLElement} element - The field
+     * @param {number} time - The current time
+     * @returns {number|null} Milliseconds
+     */
+    function getLatency(element, time) {
+      const armed = armedKeys.get(element);
+      return armed ? Math.round(time - armed.time) : null;
+    }
+
+
+    // ----- EVENT HANDLERS -----
+
+    /**
+     * Records hawaiian:armed, hawaiian:transform and hawaiian:reset.
+     * 
+     * A transform is recorded once dispatching is over, so one that a
+     * listener canceled is left out, and only for TYPING_METHODS.
+     * 
+     * @param {CustomEvent} event
+     */
+    function handleLibraryEvent(event) {
+      try {
+        const detail = event.detail || {};
+        const element = detail.element;
+        const time = now();
+        if (!element) {
+          return;
+        }
+
+        if (event.type === "hawaiian:armed") {
+          armedKeys.set(element, { key: detail.key, time });
+          record(element, { type: "armed", key: detail.key, suppressed: detail.suppressed === true }, time);
+          return;
+        }
+
+        if (event.type === "hawaiian:reset") {
+          if (detail.reason === "escape" || detail.reason === "abandon") {
+            record(element, { type: detail.reason, key: detail.key, latency: getLatency(element, time) }, time);
+          }
+          armedKeys.delete(element);
+          return;
+        }
+
+        if (!TYPING_METHODS.has(detail.method)) {
+          return;
+        }
+
+        const armed = detail.method === "deadkey" || detail.method === "fallback" ? armedKeys.get(element) : null;
+        const characters = getHawaiianCharacters(detail.output);
+
+        Promise.resolve().then(() => {
+          if (event.defaultPrevented) {
+            return;
+          }
+          record(element, {
+            type: "transform",
+            method: detail.method,
+            characters,
+            key: armed ? armed.key : null,
+            latency: armed ? Math.round(time - armed.time) : null
+          }, time);
+          lastTransforms.set(element, { method: detail.method, characters, time });
+        });
+      } catch (error) {
+        warn(config, "Error recording a library event", error);
+      }
+    }
+
+    /**
+     * Spots corrections: a delete or undo as the next edit after a
+     * transform. Listens on the window in the capture phase, so it sees
+     * each edit before the library reacts to it.
+     * 
+     * @param {InputEvent|KeyboardEvent} event
+     */
+    function handleEdit(event) {
+      try {
+        const element = getEventTarget(event);
+        const previous = lastTransforms.get(element);
+
+        let input = null;
+        if (event.type === "keydown") {
+          // Keys that only start an edit leave the transform pending
+          const isUndo = (event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey &&
+            (event.key === "z" || event.key === "Z");
+          if (!isUndo) {
+            return;
+          }
+          input = "undo";
+        } else if (event.inputType === "historyUndo") {
+          input = "undo";
+        } else if (event.inputType && event.inputType.startsWith("delete")) {
+          input = "delete";
+        }
+
+        lastTransforms.delete(element);
+        if (previous && input) {
+          const time = now();
+          record(element, {
+            type: "correction",
+            method: previous.method,
+            characters: previous.characters,
+            input,
+            latency: Math.round(time - previous.time)
+          }, time);
+        }
+      } catch (error) {
+        warn(config, "Error recording an edit", error);
+      }
+    }
+
+    /**
+     * Flushes when the page is hidden, since it may not come back.
+     */
+    function handleVisibilityChange() {
+      if (doc.visibilityState === "hidden") {
+        flush();
+      }
+    }
+
+
+    // ----- PUBLIC -----
+
+    /**
+     * Returns the records of the current batch as JSON, passes it to
+     * onFlush and starts a new batch.
+     * 
+     * @returns {string|null} The JSON text, or null if nothing was recorded
+     */
+    function flush() {
+      if (count === 0) {
+        return null;
+      }
+
+      const json = JSON.stringify({
+        version: HawaiianInput.version,
+        metadata: config.metadata,
+        startedAt,
+        flushedAt: new Date().toISOString(),
+        fields: Object.fromEntries(fields)
+      });
+      fields = new Map();
+      count = 0;
+
+      if (config.onFlush) {
+        try {
+          config.onFlush(json);
+        } catch (error) {
+          warn(config, "Error in onFlush", error);
+        }
+      }
+      return json;
+    }
+
+    /**
+     * Reads the current batch without flushing it.
+     * 
+     * @returns {Object<string, Object[]>} Copies of the records, by field key
+     */
+    function getRecords() {
+      const copy = {};
+      for (const [key, records] of fields) {
+        copy[key] = records.map((entry) => ({ ...entry }));
+      }
+      return copy;
+    }
+
+    /**
+     * Stops recording. Records not yet flushed go to onFlush.
+     */
+    function destroy() {
+      if (!view) {
+        return;
+      }
+      for (const type of LIBRARY_EVENTS) {
+        target.removeEventListener(type, handleLibraryEvent);
+      }
+      view.removeEventListener("beforeinput", handleEdit, true);
+      view.removeEventListener("keydown", handleEdit, true);
+      doc.removeEventListener("visibilitychange", handleVisibilityChange);
+      if (timer !== null) {
+        clearInterval(timer);
+        timer = null;
+      }
+      if (config.onFlush) {
+        flush();
+      }
+    }
+
+
+    // ----- SETUP -----
+
+    // Outside a browser there is nothing to listen to
+    if (!view) {
+      warn(config, "No document to listen on, nothing will be recorded");
+      return Object.freeze({ flush, getRecords, destroy });
+    }
+
+    for (const type of LIBRARY_EVENTS) {
+      target.addEventListener(type, handleLibraryEvent);
+    }
+    view.addEventListener("beforeinput", handleEdit, true);
+    view.addEventListener("keydown", handleEdit, true);
+
+    if (config.onFlush && config.flushOnHide) {
+      doc.addEventListener("visibilitychange", handleVisibilityChange);
+    }
+    if (config.onFlush && config.flushInterval > 0) {
+      timer = setInterval(flush, config.flushInterval);
+    }
+
+    return Object.freeze({ flush, getRecords, destroy });
+  }
+
+
+  // ===========================================================================
+  // EXPORT
+  // ===========================================================================
+
+  return Object.freeze({
+    createLogger
+  });
+});
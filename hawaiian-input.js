@@ -28,6 +28,12 @@
  *   ignoreSelector: '.no-hawaiian' // Skip specific elements
  * });
  * 
+ * @example
+ * // Per-element instances with their own settings and state
+ * const answer = HawaiianInput.attach(answerBox, { deadKeyStrict: true });
+ * const notes = HawaiianInput.attach(notesField);
+ * answer.detach();
+ * 
  * 
  * INPUT METHODS
  * =============
@@ -51,6 +57,9 @@
  *   Escape sequences (to type literal characters):
  *     ` + space → `    \ + space → \
  * 
+ *   Postfix mode (mode: "postfix"), vowel first then a marker:
+ *     a- → ā    A= → Ā    a-- → a-  (marker again undoes it)
+ * 
  * Method 2: Modifier Keys
  * -----------------------
  * Hold Ctrl or Alt/Option while typing.
@@ -72,10 +81,12 @@
  *   5. If next character is anything else: insert both characters as-is
  *   6. Return to idle state
  * 
- * The library listens to three events:
+ * The library listens to these events:
  *   - keydown: Handles Ctrl/Alt modifier combinations
  *   - beforeinput: Primary handler for dead key sequences (modern browsers)
  *   - input: Fallback handler for browsers without beforeinput support
+ *   - paste, drop: Normalize incoming text (normalizePaste option)
+ *   - submit: Normalize field values (normalizeOnSubmit option)
  * 
  * 
  * DISABLING ON SPECIFIC ELEMENTS
@@ -87,7 +98,10 @@
  * Or use the ignoreSelector option:
  *   HawaiianInput.install({ ignoreSelector: '.password-field, #special-input' });
  * 
- * The library automatically ignores password, email, and URL input types.
+ * Only text, search and tel inputs are handled by default (see the
+ * inputTypes option), and the default ignoreSelector skips password
+ * inputs. For full control, pass a shouldHandle function:
+ *   HawaiianInput.install({ shouldHandle: (el) => !el.closest('.code') });
  */
 
 (function (global, factory) {
@@ -127,6 +141,14 @@
     A: "Ā", E: "Ē", I: "Ī", O: "Ō", U: "Ū"
   });
 
+  /**
+   * Mapping from vowels with macrons back to plain vowels (ā → a),
+   * used to fold and sort text.
+   */
+  const MACRON_BASES = Object.freeze(Object.fromEntries(
+    Object.entries(MACRONS).map(([vowel, macron]) => [macron, vowel])
+  ));
+
   /**
    * The ʻokina character (U+02BB: MODIFIER LETTER TURNED COMMA).
    * This is the correct Unicode character for the Hawaiian glottal stop,
@@ -149,6 +171,155 @@
    */
   const APOSTROPHE_CHARS = Object.freeze(new Set(["'", "\u2019"]));
 
+  /**
+   * Characters commonly typed or pasted in place of an ʻokina: the
+   * apostrophe, left and right single quotes, and the backtick.
+   * Used when normalizing text that was not typed through this library.
+   */
+  const OKINA_LOOKALIKES = Object.freeze(new Set([...APOSTROPHE_CHARS, "\u2018", DEAD_KEY]));
+
+  /**
+   * Vowels with and without macrons, and every letter of the Hawaiian
+   * alphabet (a e i o u h k l m n p w ʻ) in both cases.
+   * Used by autoOkina to recognize Hawaiian words.
+   */
+  const HAWAIIAN_VOWELS = Object.freeze(new Set([...VOWELS_ALL, ...Object.values(MACRONS)]));
+  const HAWAIIAN_LETTERS = Object.freeze(new Set([...HAWAIIAN_VOWELS, ..."hklmnpwHKLMNPW", OKINA]));
+
+  /**
+   * The Hawaiian alphabet in traditional order: the vowels, then the
+   * consonants, then the ʻokina. Used by compare().
+   */
+  const HAWAIIAN_ALPHABET = Object.freeze([..."aeiouhklmnpw", OKINA]);
+
+  /**
+   * Matches runs of word characters (letters, combining marks and
+   * ʻokina look-alikes): at the end of a text, at the start of a text,
+   * and anywhere in a text.
+   */
+  const WORD_END = /[\p{L}\p{M}'\u2018\u2019`]*$/u;
+  const WORD_START = /^[\p{L}\p{M}'\u2018\u2019`]*/u;
+  const WORDS = /[\p{L}\p{M}'\u2018\u2019`]+/gu;
+
+  /**
+   * A vowel followed by a combining macron (U+0304) instead of the
+   * single precomposed character.
+   */
+  const DECOMPOSED_MACRONS = /[aeiouAEIOU]\u0304/g;
+
+  /**
+   * Word list used by the suggest option when no words are given:
+   * common words and place names that are often typed without their
+   * kahakō and ʻokina. Words whose unmarked spelling is also a word are
+   * left out, since either could be meant: kane and kāne, ʻaina (meal)
+   * and ʻāina (land), kela and kēlā, and lanai (porch) and Lānaʻi.
+   */
+  const DEFAULT_WORDS = Object.freeze([
+    "Hawaiʻi", "ʻōlelo", "kahakō", "ʻokina",
+    "Oʻahu", "Kauaʻi", "Molokaʻi", "Niʻihau", "Kahoʻolawe",
+    "Waikīkī", "Mānoa", "Kīlauea", "Haleakalā",
+    "Kalākaua", "Liliʻuokalani", "Kapiʻolani",
+    "ʻohana", "aliʻi", "lūʻau", "ʻukulele",
+    "kōkua", "hoʻokipa", "haumāna", "moʻolelo", "moʻopuna", "ʻōiwi",
+    "ʻaʻole", "kēia", "ʻike",
+    "ʻekahi", "ʻelua", "ʻekolu", "ʻelima", "ʻeono", "ʻehiku", "ʻewalu", "ʻeiwa",
+    "Pōʻakahi", "Pōʻalua", "Pōʻakolu", "Pōʻahā", "Pōʻalima", "Pōʻaono", "Lāpule"
+  ]);
+
+  /**
+   * Elements that start a new line of text in contentEditable.
+   * Text before the cursor is only looked for inside the cursor's own
+   * block, so a dead key never pairs with text in the previous paragraph.
+   */
+  const BLOCK_TAGS = Object.freeze(new Set([
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT",
+    "FIGCAPTION", "FIGURE", "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6",
+    "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION",
+    "TABLE", "TD", "TH", "TR", "UL"
+  ]));
+
+  /**
+   * Modifier names that can be used for chords in a keymap.
+   * Each maps to the KeyboardEvent property of the same name + "Key".
+   */
+  const MODIFIER_NAMES = Object.freeze(["ctrl", "alt", "meta"]);
+
+  /**
+   * Input modes for the mode option.
+   *   prefix:  dead key first, then the vowel (`a → ā)
+   *   postfix: vowel first, then a marker (a- → ā)
+   *   both:    either order
+   */
+  const MODES = Object.freeze(["prefix", "postfix", "both"]);
+
+  /**
+   * Typing methods that the methods option can turn on or off.
+   *   deadkey:  dead key and postfix sequences (`a → ā, a- → ā)
+   *   modifier: modifier chords (Ctrl+a → ā)
+   */
+  const METHODS = Object.freeze(["deadkey", "modifier"]);
+
+  /**
+   * Input types handled by default (see the inputTypes option).
+   */
+  const INPUT_TYPES = Object.freeze(["text", "search", "tel"]);
+
+  /**
+   * Input types that have the text field selection API. Other types
+   * (email, number, date, ...) report no caret and throw from
+   * setRangeText, so they can't be handled.
+   */
+  const SELECTABLE_INPUT_TYPES = Object.freeze(["text", "search", "tel", "url", "password"]);
+
+  /**
+   * InputEvent inputType values of the edits a paste or drop makes.
+   * Moving text by drag deletes it first (deleteByDrag), then drops it.
+   */
+  const PASTE_INPUT_TYPES = Object.freeze(["insertFromPaste", "insertFromPasteAsQuotation", "insertFromDrop", "deleteByDrag"]);
+
+  /**
+   * Modifier names accepted in the hotkey option, mapped to the
+   * KeyboardEvent property they stand for.
+   */
+  const HOTKEY_MODIFIERS = Object.freeze({
+    ctrl: "ctrlKey", control: "ctrlKey",
+    alt: "altKey", option: "altKey",
+    shift: "shiftKey",
+    meta: "metaKey", cmd: "metaKey", command: "metaKey"
+  });
+
+  /**
+   * Default key mapping table, used when no keymap option is given.
+   * 
+   *   deadKeys:  trigger character → { following character → output }
+   *   escapeKey: character that turns an armed dead key into a literal one
+   *   postfix:   marker character → { preceding character → output }
+   *   modifiers: modifier keys that activate chords (any one of them)
+   *   chords:    key pressed with a modifier → output
+   * 
+   * Exposed as HawaiianInput.defaultKeymap so custom keymaps can start
+   * from it and change only what they need.
+   */
+  const DEFAULT_KEYMAP = Object.freeze({
+    deadKeys: Object.freeze({
+      [DEAD_KEY]: Object.freeze({
+        a: MACRONS.a, e: MACRONS.e, i: MACRONS.i, o: MACRONS.o, u: MACRONS.u,
+        "'": OKINA, "\u2019": OKINA
+      }),
+      [UPPER_KEY]: Object.freeze({
+        a: MACRONS.A, e: MACRONS.E, i: MACRONS.I, o: MACRONS.O, u: MACRONS.U,
+        A: MACRONS.A, E: MACRONS.E, I: MACRONS.I, O: MACRONS.O, U: MACRONS.U
+      })
+    }),
+    escapeKey: " ",
+    postfix: Object.freeze({
+      "-": Object.freeze({ ...MACRONS }),
+      "=": Object.freeze({ ...MACRONS })
+    }),
+    modifiers: Object.freeze(["ctrl", "alt"]),
+    chords: Object.freeze({ ...MACRONS, "'": OKINA, "\u2019": OKINA })
+  });
+
   /**
    * Default configuration options.
    * These can be overridden when calling install().
@@ -163,12 +334,119 @@
     deadKeyStrict: false,
 
     /**
-     * Enable Hawaiian input on <input> elements.
-     * Only affects text, search, and tel input types.
+     * When true, an apostrophe (' or ’) typed inside a Hawaiian word is
+     * turned into an ʻokina, as in Hawai'i → Hawaiʻi. English contractions
+     * and quoted words are left alone. Ctrl+Z (⌘Z) right after a
+     * correction puts the apostrophe back.
+     * @type {boolean}
+     */
+    autoOkina: false,
+
+    /**
+     * When set, text pasted or dropped into a handled field is run through
+     * normalize() (dead key sequences, ʻokina look-alikes, decomposed
+     * macrons). Use true for all steps, or an object of normalize()
+     * options such as { deadKeys: false } to pick steps.
+     * @type {boolean|Object}
+     */
+    normalizePaste: false,
+
+    /**
+     * When set, the values of handled fields are normalized when their
+     * form is submitted: composed macrons and canonical ʻokina. Takes
+     * true or an object of normalize() options (dead key sequences are
+     * only converted if it sets deadKeys: true).
+     * @type {boolean|Object}
+     */
+    normalizeOnSubmit: false,
+
+    /**
+     * When set, finishing a word that is in the word list without its
+     * kahakō or ʻokina (Hawaii, kahako, olelo) offers the marked spelling
+     * with a hawaiian:suggest event, or applies it straight away with
+     * autoApply. Takes true for the built-in word list, or an object:
+     * { words: [...], autoApply: true }.
+     * @type {boolean|Object}
+     */
+    suggest: false,
+
+    /**
+     * When true, the first Backspace right after a dead key or modifier
+     * transformation puts back the keys that produced it (ā → `a,
+     * ʻ → `', Ctrl+a's ā → a) instead of deleting it. A second Backspace
+     * deletes as usual.
+     * @type {boolean}
+     */
+    revertOnBackspace: false,
+
+    /**
+     * When true, a small floating indicator appears at the cursor while
+     * a dead key is armed, previewing the characters the next key can
+     * produce (ā ē ī ō ū ʻ or Ā Ē Ī Ō Ū). Screen readers announce it.
+     * @type {boolean}
+     */
+    indicator: false,
+
+    /**
+     * Touch keyboard support. Typing the same vowel twice in quick
+     * succession (a double tap) opens a chooser offering the macron
+     * version, and typing two apostrophes quickly gives an ʻokina.
+     * Holding a vowel key down opens the chooser too, on keyboards that
+     * repeat a held key. Works with on-screen keyboards, which don't
+     * report keys to keydown.
+     * Keyboards that compose whole words (most Android keyboards) get the
+     * vowel chooser too, read from the composition as it grows.
+     * @type {boolean}
+     */
+    touch: false,
+
+    /**
+     * Longest gap, in milliseconds, between two taps of the same key for
+     * them to count as a double tap in touch mode.
+     * @type {number}
+     */
+    touchDelay: 400,
+
+    /**
+     * Order of the sequence keys: "prefix" (`a → ā), "postfix"
+     * (a- → ā, typing the marker again gives a literal a-) or "both".
+     * Modifier chords work in every mode.
+     * @type {string}
+     */
+    mode: "prefix",
+
+    /**
+     * Typing methods to accept: "deadkey" (dead key and postfix
+     * sequences) and "modifier" (Ctrl/Alt chords). Fields can narrow this
+     * with the data-hawaiian-methods attribute.
+     * @type {string[]}
+     */
+    methods: METHODS,
+
+    /**
+     * When true, only fields marked with a data-hawaiian attribute (on
+     * the field or an element around it) receive Hawaiian input.
+     * @type {boolean}
+     */
+    optIn: false,
+
+    /**
+     * Enable Hawaiian input on <input> elements and on form-associated
+     * custom elements that work like them.
+     * Only affects the types listed in inputTypes.
      * @type {boolean}
      */
     enableInputs: true,
 
+    /**
+     * Input types that receive Hawaiian input. Inputs without a type
+     * count as "text". Types without a selection API (email, number,
+     * date, ...) are dropped with a warning, since they can't be
+     * handled even when listed.
+     * @type {string[]}
+     */
+    inputTypes: INPUT_TYPES,
+
     /**
      * Enable Hawaiian input on <textarea> elements.
      * @type {boolean}
@@ -183,12 +461,52 @@
      */
     enableContentEditable: true,
 
+    /**
+     * When true, same-origin iframes are covered too, including iframes
+     * added later and iframes inside open shadow roots. Fields inside open
+     * shadow roots are always handled; cross-origin frames never are.
+     * @type {boolean}
+     */
+    frames: false,
+
     /**
      * CSS selector for elements that should be ignored.
      * Hawaiian input will not be applied to matching elements.
      * @type {string}
      */
-    ignoreSelector: 'input[type="password"], input[type="email"], input[type="url"], [data-no-hawaiian]',
+    ignoreSelector: 'input[type="password"], [data-no-hawaiian]',
+
+    /**
+     * Function deciding whether a field receives Hawaiian input, or null.
+     * It is called with the field and the default decision, and returning
+     * true or false overrides that decision (anything else keeps it).
+     * Read-only and disabled fields are always skipped.
+     * @type {Function|null}
+     */
+    shouldHandle: null,
+
+    /**
+     * Key combination that turns Hawaiian input on and off, such as
+     * "Ctrl+Shift+H", or null for none. Works while the focus is in a
+     * field the library would handle, even when it is turned off.
+     * @type {string|null}
+     */
+    hotkey: null,
+
+    /**
+     * Key combination that converts the selected text in a field, such
+     * as "Ctrl+Shift+K", or null for none (see convertSelection()).
+     * @type {string|null}
+     */
+    convertHotkey: null,
+
+    /**
+     * Key mapping table for dead keys, the escape key and modifier chords.
+     * Any section left out of a custom keymap keeps its default.
+     * See DEFAULT_KEYMAP for the format.
+     * @type {Object}
+     */
+    keymap: DEFAULT_KEYMAP,
 
     /**
      * When true, logs warnings to the console for debugging.
@@ -204,37 +522,26 @@
   // ===========================================================================
 
   /**
-   * Current configuration (merged defaults + user options).
-   * @type {Object}
-   */
-  let config = { ...DEFAULT_OPTIONS };
-
-  /**
-   * True when the browser's IME (Input Method Editor) is active.
-   * We disable our transformations during IME composition to avoid
-   * interfering with languages like Japanese or Chinese input.
-   * @type {boolean}
+   * Every live instance created by install() or attach().
+   * Used so that a document-level install steps aside for elements that
+   * have their own attached instance (see isClaimedByOtherInstance).
+   * @type {Set<Object>}
    */
-  let isComposing = false;
+  const instances = new Set();
 
   /**
-   * State machine flags for dead key handling.
-   * 
-   * When a dead key is pressed, we "arm" it and wait for the next character.
-   * If deadKeyStrict is true, we also "suppress" the dead key (prevent it
-   * from appearing in the input until we know what follows).
+   * The instance created by install(), if any.
+   * install() and uninstall() manage this single page-wide instance.
+   * @type {Object|null}
    */
-  let isBacktickArmed = false;
-  let isBackslashArmed = false;
-  let isBacktickSuppressed = false;
-  let isBackslashSuppressed = false;
+  let installedInstance = null;
 
   /**
-   * References to event listener functions for cleanup.
-   * Stored so we can properly remove them in uninstall().
-   * @type {Object}
+   * Word lists already indexed by createWordList(), so changing other
+   * options doesn't index the same list again.
+   * @type {WeakMap<string[], Map<string, string[]>>}
    */
-  let listeners = {};
+  const wordLists = new WeakMap();
 
 
   // ===========================================================================
@@ -244,603 +551,4612 @@
   /**
    * Logs a warning message if debug mode is enabled.
    * 
+   * @param {Object} config - Configuration of the instance reporting the warning
    * @param {string} message - Description of the warning
    * @param {Error} [error] - Optional error object for stack trace
    */
-  function warn(message, error) {
+  function warn(config, message, error) {
     if (config.debug) {
       console.warn("[HawaiianInput]", message, error || "");
     }
   }
 
   /**
-   * Resets the state machine to idle.
-   * Called after a transformation completes, on focus change,
-   * or when a non-matching character is typed after a dead key.
+   * Dispatches one of the library's custom events on an element.
+   * 
+   * Events bubble and cross shadow DOM boundaries so a single listener
+   * on the document sees every field.
+   * 
+   * @param {HTMLElement} element - Element to dispatch on
+   * @param {string} type - Event name, such as "hawaiian:transform"
+   * @param {Object} detail - Event detail
+   * @param {boolean} cancelable - Whether listeners may call preventDefault()
+   * @returns {boolean} False if a listener canceled the event
    */
-  function resetState() {
-    isBacktickArmed = false;
-    isBackslashArmed = false;
-    isBacktickSuppressed = false;
-    isBackslashSuppressed = false;
+  function emit(element, type, detail, cancelable) {
+    return element.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      cancelable,
+      detail
+    }));
   }
 
   /**
-   * Validates and merges user options with defaults.
+   * Checks own properties without tripping over inherited names
+   * such as "constructor" in user-supplied tables.
    * 
-   * @param {Object} userOptions - Options passed to install()
-   * @returns {Object} Validated and merged configuration
+   * @param {Object} object - Table to look in
+   * @param {string} key - Property name
+   * @returns {boolean} True if the table defines the key itself
    */
-  function validateOptions(userOptions) {
-    const merged = { ...DEFAULT_OPTIONS };
+  function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
 
-    if (typeof userOptions !== "object" || userOptions === null) {
-      return merged;
+  /**
+   * Finds the element an event actually happened in.
+   * 
+   * By the time an event from inside a shadow root reaches a listener on
+   * the document, event.target has been retargeted to the shadow host.
+   * composedPath() still starts at the real field for open shadow roots.
+   * 
+   * @param {Event} event - The DOM event
+   * @returns {HTMLElement|null} The original target element
+   */
+  function getEventTarget(event) {
+    const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+    const target = path.length > 0 ? path[0] : event.target;
+
+    // Some events can start at a text node; the element is what we filter on
+    if (target && target.nodeType === Node.TEXT_NODE) {
+      return target.parentElement;
     }
+    return target;
+  }
 
-    // Validate boolean options
-    const booleanKeys = ["deadKeyStrict", "enableInputs", "enableTextareas", "enableContentEditable", "debug"];
-    for (const key of booleanKeys) {
-      if (key in userOptions && typeof userOptions[key] === "boolean") {
-        merged[key] = userOptions[key];
-      }
+  /**
+   * Gets the selection that covers a node.
+   * 
+   * Inside a shadow root the document's selection points at the shadow
+   * host, so the shadow root's own selection is used where the browser
+   * provides one. Nodes in an iframe use that frame's window.
+   * 
+   * @param {Node} node - A node inside the editable element
+   * @returns {Selection|null} The selection, or null if unavailable
+   */
+  function getSelectionFor(node) {
+    const root = node.getRootNode ? node.getRootNode() : null;
+    if (root && root !== node.ownerDocument && typeof root.getSelection === "function") {
+      return root.getSelection();
     }
+    const view = node.ownerDocument && node.ownerDocument.defaultView;
+    return view ? view.getSelection() : null;
+  }
 
-    // Validate ignoreSelector (must be string or null/undefined)
-    if ("ignoreSelector" in userOptions) {
-      if (typeof userOptions.ignoreSelector === "string" || userOptions.ignoreSelector === null) {
-        merged.ignoreSelector = userOptions.ignoreSelector || "";
+  /**
+   * Checks whether a node is inside another, counting shadow hosts as the
+   * parents of their shadow roots. Node.contains() stops at the shadow
+   * boundary, so a field in a component's shadow root would otherwise not
+   * be inside the element the component sits in.
+   * 
+   * @param {Node} ancestor - The possible ancestor
+   * @param {Node} node - The node to look for
+   * @returns {boolean} True if node is ancestor or inside it
+   */
+  function containsComposed(ancestor, node) {
+    while (node) {
+      if (ancestor.contains(node)) {
+        return true;
       }
+      const root = node.getRootNode ? node.getRootNode() : null;
+      node = root && root.host ? root.host : null;
     }
-
-    return merged;
+    return false;
   }
 
-
-  // ===========================================================================
-  // ELEMENT FILTERING
-  // ===========================================================================
-
   /**
-   * Determines if Hawaiian input should be applied to the target element.
+   * Gets the focused element of a document, looking inside open shadow
+   * roots, which otherwise report their host as focused.
    * 
-   * Checks:
-   *   1. Element exists and is a valid input type
-   *   2. Element is not disabled or read-only
-   *   3. Element type is enabled in config
-   *   4. Element does not match ignoreSelector
+   * @param {Document} doc - The document
+   * @returns {Element|null} The focused element
+   */
+  function getActiveElement(doc) {
+    let active = doc.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  }
+
+  /**
+   * Checks whether a window's browser fires cancelable beforeinput
+   * events, which the main typing pipeline relies on. Browsers without
+   * them type through the input event fallback (see handleInput).
    * 
-   * @param {Event} event - The DOM event
-   * @returns {boolean} True if the element should receive Hawaiian input
+   * @param {Window|null} view - The window to check
+   * @returns {boolean} True if beforeinput is supported
    */
-  function shouldHandleElement(event) {
-    const element = event.target;
+  function supportsBeforeInput(view) {
+    return Boolean(view) &&
+      typeof view.InputEvent === "function" &&
+      typeof view.InputEvent.prototype.getTargetRanges === "function";
+  }
 
-    if (!element) {
-      return false;
+  /**
+   * Gets the single character an input event typed, for the input
+   * event fallback. Old browsers fire plain input events without data;
+   * for those the character before the cursor is used.
+   * 
+   * @param {Event} event - The input event
+   * @param {HTMLElement} element - The field
+   * @returns {string|null} The typed character, or null for any other edit
+   */
+  function getTypedChar(event, element) {
+    if (event.inputType === undefined && event.data === undefined) {
+      const before = getTextBeforeCaret(element);
+      return before ? before.charAt(before.length - 1) : null;
     }
+    return event.inputType === "insertText" && isSingleChar(event.data) ? event.data : null;
+  }
 
-    // Check standard input elements
-    if (element.tagName === "INPUT") {
-      if (!config.enableInputs) {
-        return false;
-      }
-
-      // Only handle text-like input types
-      const inputType = (element.type || "text").toLowerCase();
-      const allowedTypes = ["text", "search", "tel"];
-      if (!allowedTypes.includes(inputType)) {
-        return false;
-      }
+  /**
+   * Checks that a value is a string of exactly one character.
+   * Keys in a keymap must be single characters because they are compared
+   * against the data of a single keystroke.
+   * 
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a one-character string
+   */
+  function isSingleChar(value) {
+    return typeof value === "string" && value.length === 1;
+  }
 
-      // Skip disabled or read-only inputs
-      if (element.readOnly || element.disabled) {
-        return false;
-      }
+  /**
+   * Parses a hotkey such as "Ctrl+Shift+H" into the key and modifier
+   * flags a keydown event must have. Modifier names are case-insensitive
+   * (see HOTKEY_MODIFIERS).
+   * 
+   * @param {*} value - Hotkey string
+   * @returns {{key: string, ctrlKey: boolean, altKey: boolean, shiftKey: boolean, metaKey: boolean}|null}
+   *   The parsed hotkey, or null if the value is not a valid hotkey
+   */
+  function parseHotkey(value) {
+    if (typeof value !== "string") {
+      return null;
     }
 
-    // Check textarea elements
-    else if (element.tagName === "TEXTAREA") {
-      if (!config.enableTextareas) {
-        return false;
-      }
-
-      if (element.readOnly || element.disabled) {
-        return false;
-      }
+    const parts = value.split("+").map((part) => part.trim());
+    const key = parts.pop();
+    if (!key) {
+      return null;
     }
 
-    // Check contentEditable elements
-    else if (element.isContentEditable) {
-      if (!config.enableContentEditable) {
-        return false;
+    const hotkey = { key: key.toLowerCase(), ctrlKey: false, altKey: false, shiftKey: false, metaKey: false };
+    for (const part of parts) {
+      const flag = HOTKEY_MODIFIERS[part.toLowerCase()];
+      if (!flag) {
+        return null;
       }
+      hotkey[flag] = true;
     }
+    return hotkey;
+  }
 
-    // Not an editable element
-    else {
+  /**
+   * Checks whether a keydown event is the given hotkey.
+   * 
+   * Letters and digits are also compared by physical key (event.code),
+   * because Alt/Option changes event.key on macOS (Alt+H gives "˙").
+   * 
+   * @param {KeyboardEvent} event - The keydown event
+   * @param {Object|null} hotkey - Result of parseHotkey()
+   * @returns {boolean} True if the event matches
+   */
+  function matchesHotkey(event, hotkey) {
+    if (!hotkey || event.repeat) {
       return false;
     }
-
-    // Check against ignore selector
-    if (config.ignoreSelector) {
-      try {
-        if (element.matches && element.matches(config.ignoreSelector)) {
-          return false;
-        }
-      } catch (error) {
-        warn("Invalid ignoreSelector, check CSS syntax", error);
+    for (const flag of ["ctrlKey", "altKey", "shiftKey", "metaKey"]) {
+      if (Boolean(event[flag]) !== hotkey[flag]) {
+        return false;
       }
     }
 
-    return true;
+    const code = /^[a-z]$/.test(hotkey.key) ? "Key" + hotkey.key.toUpperCase()
+      : /^[0-9]$/.test(hotkey.key) ? "Digit" + hotkey.key : null;
+    return (typeof event.key === "string" && event.key.toLowerCase() === hotkey.key) ||
+      (code !== null && event.code === code);
   }
 
-
-  // ===========================================================================
-  // TEXT INSERTION
-  // ===========================================================================
-
   /**
-   * Inserts text at the current cursor position, optionally deleting
-   * characters before the cursor first.
+   * Validates a table mapping single characters to output text.
+   * Invalid entries are dropped (with a warning in debug mode).
    * 
-   * Handles both form fields (input/textarea) and contentEditable elements.
-   * 
-   * @param {HTMLElement} element - The target element
-   * @param {string} text - Text to insert
-   * @param {number} deleteCount - Number of characters to delete before inserting
+   * @param {Object} table - User-supplied table
+   * @param {string} name - Name used in warnings
+   * @param {Object} config - Configuration used for warnings
+   * @returns {Object} Frozen table with only the valid entries
    */
-  function insertText(element, text, deleteCount) {
-    if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
-      insertIntoFormField(element, text, deleteCount);
-    } else if (element.isContentEditable) {
-      insertIntoContentEditable(element, text, deleteCount);
+  function validateTargetTable(table, name, config) {
+    const result = {};
+
+    if (typeof table !== "object" || table === null) {
+      warn(config, `keymap.${name} must be an object, ignoring it`);
+      return Object.freeze(result);
+    }
+
+    for (const key of Object.keys(table)) {
+      const output = table[key];
+      if (isSingleChar(key) && typeof output === "string" && output.length > 0) {
+        result[key] = output;
+      } else {
+        warn(config, `Ignoring invalid keymap.${name} entry "${key}"`);
+      }
     }
+
+    return Object.freeze(result);
   }
 
   /**
-   * Inserts text into an input or textarea element.
-   * Uses the standard setRangeText API for reliable cursor positioning.
+   * Validates a table mapping trigger characters to target tables,
+   * as used by the deadKeys and postfix sections of a keymap.
    * 
-   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
-   * @param {string} text - Text to insert
-   * @param {number} deleteCount - Characters to delete before cursor
+   * @param {Object} tables - User-supplied trigger → targets table
+   * @param {string} name - Name used in warnings
+   * @param {Object} config - Configuration used for warnings
+   * @returns {Object} Frozen table with only the valid triggers
    */
-  function insertIntoFormField(element, text, deleteCount) {
-    const cursorPosition = element.selectionStart;
-    const deleteStart = Math.max(0, cursorPosition - deleteCount);
+  function validateTriggerTables(tables, name, config) {
+    const result = {};
 
-    // Replace the range from deleteStart to cursor with new text
-    element.setRangeText(text, deleteStart, cursorPosition, "end");
+    if (typeof tables !== "object" || tables === null) {
+      warn(config, `keymap.${name} must be an object, disabling it`);
+      return Object.freeze(result);
+    }
 
-    // Dispatch input event so frameworks (React, Vue, etc.) detect the change
-    element.dispatchEvent(new Event("input", { bubbles: true }));
+    for (const trigger of Object.keys(tables)) {
+      if (isSingleChar(trigger)) {
+        result[trigger] = validateTargetTable(tables[trigger], `${name}["${trigger}"]`, config);
+      } else {
+        warn(config, `Ignoring keymap.${name} trigger "${trigger}", triggers must be a single character`);
+      }
+    }
+
+    return Object.freeze(result);
   }
 
   /**
-   * Inserts text into a contentEditable element.
-   * Uses the Selection and Range APIs for DOM manipulation.
+   * Validates a user-supplied keymap and merges it with DEFAULT_KEYMAP.
+   * Each section that is present replaces the default section entirely,
+   * so a custom deadKeys table removes the backtick and backslash triggers.
    * 
-   * @param {HTMLElement} element - The contentEditable element
-   * @param {string} text - Text to insert
-   * @param {number} deleteCount - Characters to delete before cursor
+   * @param {Object} userKeymap - The keymap option
+   * @param {Object} config - Configuration used for warnings
+   * @returns {Object} Frozen, validated keymap
    */
-  function insertIntoContentEditable(element, text, deleteCount) {
-    const selection = window.getSelection();
+  function validateKeymap(userKeymap, config) {
+    if (typeof userKeymap !== "object" || userKeymap === null) {
+      warn(config, "keymap must be an object, using the default keymap");
+      return DEFAULT_KEYMAP;
+    }
 
-    if (!selection || selection.rangeCount === 0) {
-      return;
+    const keymap = { ...DEFAULT_KEYMAP };
+
+    // Dead keys: trigger → table of targets
+    if ("deadKeys" in userKeymap) {
+      keymap.deadKeys = validateTriggerTables(userKeymap.deadKeys, "deadKeys", config);
     }
 
-    const range = selection.getRangeAt(0);
+    // Postfix markers: marker → table of preceding characters
+    if ("postfix" in userKeymap) {
+      keymap.postfix = validateTriggerTables(userKeymap.postfix, "postfix", config);
+    }
 
-    // Delete characters before cursor if needed
-    if (deleteCount > 0) {
-      const container = range.startContainer;
-      const offset = range.startOffset;
+    // Escape key: single character, or null to disable escaping
+    if ("escapeKey" in userKeymap) {
+      if (isSingleChar(userKeymap.escapeKey) || userKeymap.escapeKey === null) {
+        keymap.escapeKey = userKeymap.escapeKey;
+      } else {
+        warn(config, "keymap.escapeKey must be a single character or null");
+      }
+    }
 
-      // Only delete within current text node to avoid DOM corruption
-      if (container.nodeType === Node.TEXT_NODE && offset >= deleteCount) {
-        range.setStart(container, offset - deleteCount);
+    // Chord modifiers: subset of MODIFIER_NAMES
+    if ("modifiers" in userKeymap) {
+      if (Array.isArray(userKeymap.modifiers)) {
+        keymap.modifiers = Object.freeze(userKeymap.modifiers.filter((name) => {
+          const isValid = MODIFIER_NAMES.includes(name);
+          if (!isValid) {
+            warn(config, `Ignoring unknown chord modifier "${name}"`);
+          }
+          return isValid;
+        }));
+      } else {
+        warn(config, "keymap.modifiers must be an array of modifier names");
       }
     }
 
-    // Delete any selected content and insert new text
-    range.deleteContents();
-    const textNode = document.createTextNode(text);
-    range.insertNode(textNode);
+    // Chords: key → output
+    if ("chords" in userKeymap) {
+      keymap.chords = validateTargetTable(userKeymap.chords, "chords", config);
+    }
 
-    // Move cursor to end of inserted text
-    range.setStartAfter(textNode);
-    range.collapse(true);
-    selection.removeAllRanges();
-    selection.addRange(range);
+    return Object.freeze(keymap);
   }
 
   /**
-   * Replaces a range of characters in a form field.
-   * Used by the input event fallback handler.
+   * Keeps the known names in a list of typing methods.
    * 
-   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
-   * @param {number} start - Start index of range to replace
-   * @param {number} end - End index of range to replace
-   * @param {string} text - Replacement text
+   * @param {string[]} methods - Method names, such as ["deadkey"]
+   * @param {Object} config - Configuration used for warnings
+   * @returns {string[]} Frozen list of valid method names
    */
-  function replaceInFormField(element, start, end, text) {
-    element.setRangeText(text, start, end, "end");
-    element.dispatchEvent(new Event("input", { bubbles: true }));
+  function validateMethods(methods, config) {
+    return Object.freeze(methods.filter((name) => {
+      const isValid = METHODS.includes(name);
+      if (!isValid) {
+        warn(config, `Ignoring unknown method "${name}"`);
+      }
+      return isValid;
+    }));
   }
 
-
-  // ===========================================================================
-  // EVENT HANDLERS
-  // ===========================================================================
-
   /**
-   * Handles keydown events for Method 2 (Ctrl/Alt + key).
-   * 
-   * When a modifier key is held while typing a vowel or apostrophe,
-   * we intercept the keypress and insert the corresponding Hawaiian character.
+   * Validates the suggest option.
    * 
-   * @param {KeyboardEvent} event
+   * @param {boolean|Object} value - true, false or { words, autoApply }
+   * @param {Object} config - Configuration used for warnings
+   * @returns {{words: Map<string, string[]>, autoApply: boolean}|false}
+   *   Indexed word list (see createWordList) and autoApply, or false when off
    */
-  function handleKeyDown(event) {
-    try {
-      // Skip if IME is active or element shouldn't be handled
-      if (isComposing || !shouldHandleElement(event)) {
-        return;
-      }
-
-      // Only process when Ctrl or Alt is held
-      const hasModifier = event.ctrlKey || event.altKey;
-      if (!hasModifier) {
-        return;
-      }
-
-      const key = event.key;
-
-      // Modifier + apostrophe → ʻokina
-      if (APOSTROPHE_CHARS.has(key)) {
-        event.preventDefault();
-        insertText(event.target, OKINA, 0);
-        return;
-      }
+  function validateSuggest(value, config) {
+    if (value === false) {
+      return false;
+    }
+    if (value !== true && (typeof value !== "object" || value === null)) {
+      warn(config, "suggest must be a boolean or an options object");
+      return false;
+    }
 
-      // Modifier + vowel → macron (preserves case)
-      if (VOWELS_ALL.has(key)) {
-        event.preventDefault();
-        insertText(event.target, MACRONS[key], 0);
-        return;
+    const settings = value === true ? {} : value;
+    let words = DEFAULT_WORDS;
+    if ("words" in settings) {
+      if (Array.isArray(settings.words) && settings.words.every((word) => typeof word === "string")) {
+        words = settings.words;
+      } else {
+        warn(config, "suggest.words must be an array of words, using the built-in list");
       }
-
-    } catch (error) {
-      warn("Error in keydown handler", error);
     }
+
+    return Object.freeze({
+      words: createWordList(words),
+      autoApply: settings.autoApply === true
+    });
   }
 
   /**
-   * Handles beforeinput events for Method 1 (dead keys).
-   * 
-   * This is the primary handler for modern browsers. It intercepts
-   * character input before it reaches the DOM, allowing us to:
-   *   1. Arm dead keys when backtick or backslash is typed
-   *   2. Transform sequences when a vowel/apostrophe follows a dead key
-   *   3. Handle escape sequences (dead key + space)
+   * Validates and merges user options with defaults.
    * 
-   * @param {InputEvent} event
+   * @param {Object} userOptions - Options passed to install() or attach()
+   * @returns {Object} Validated and merged configuration
    */
-  function handleBeforeInput(event) {
-    try {
-      // Skip if IME is active or element shouldn't be handled
-      if (isComposing || !shouldHandleElement(event)) {
-        return;
-      }
+  function validateOptions(userOptions) {
+    const merged = { ...DEFAULT_OPTIONS };
 
-      const inputData = event.data || "";
-      const element = event.target;
+    if (typeof userOptions !== "object" || userOptions === null) {
+      return merged;
+    }
 
-      // Reset state on delete operations
-      if (event.inputType && event.inputType.startsWith("delete")) {
-        resetState();
-        return;
+    // Validate boolean options
+    const booleanKeys = ["deadKeyStrict", "autoOkina", "revertOnBackspace", "indicator", "touch", "enableInputs", "enableTextareas", "enableContentEditable", "optIn", "frames", "debug"];
+    for (const key of booleanKeys) {
+      if (key in userOptions && typeof userOptions[key] === "boolean") {
+        merged[key] = userOptions[key];
       }
+    }
 
-      // Only process single character insertions
-      if (inputData.length !== 1) {
-        return;
+    // Validate ignoreSelector (must be string or null/undefined)
+    if ("ignoreSelector" in userOptions) {
+      if (typeof userOptions.ignoreSelector === "string" || userOptions.ignoreSelector === null) {
+        merged.ignoreSelector = userOptions.ignoreSelector || "";
       }
+    }
 
-      // ----- DEAD KEY ARMING -----
-
-      // Backtick pressed: arm for lowercase macron or ʻokina
-      if (inputData === DEAD_KEY) {
-        if (config.deadKeyStrict) {
-          event.preventDefault();
-          isBacktickSuppressed = true;
+    // Validate inputTypes (array of type names)
+    if ("inputTypes" in userOptions) {
+      const value = userOptions.inputTypes;
+      if (Array.isArray(value) && value.every((type) => typeof type === "string")) {
+        const types = value.map((type) => type.toLowerCase());
+        const unsupported = types.filter((type) => !SELECTABLE_INPUT_TYPES.includes(type));
+        if (unsupported.length > 0) {
+          warn(merged, `inputTypes ${unsupported.join(", ")} have no selection API and are ignored`);
         }
-        isBacktickArmed = true;
-        return;
+        merged.inputTypes = Object.freeze(types.filter((type) => SELECTABLE_INPUT_TYPES.includes(type)));
+      } else {
+        warn(merged, "inputTypes must be an array of input types such as [\"text\", \"search\"]");
       }
+    }
 
-      // Backslash pressed: arm for uppercase macron
-      if (inputData === UPPER_KEY) {
-        if (config.deadKeyStrict) {
-          event.preventDefault();
-          isBackslashSuppressed = true;
-        }
-        isBackslashArmed = true;
-        return;
+    // Validate shouldHandle (function or null)
+    if ("shouldHandle" in userOptions) {
+      if (typeof userOptions.shouldHandle === "function" || userOptions.shouldHandle === null) {
+        merged.shouldHandle = userOptions.shouldHandle;
+      } else {
+        warn(merged, "shouldHandle must be a function or null");
+      }
+    }
+
+    // Validate normalizePaste (boolean or normalize() options)
+    if ("normalizePaste" in userOptions) {
+      const value = userOptions.normalizePaste;
+      if (typeof value === "boolean" || (typeof value === "object" && value !== null)) {
+        merged.normalizePaste = value;
+      } else {
+        warn(merged, "normalizePaste must be a boolean or an options object");
       }
+    }
 
-      // ----- BACKTICK SEQUENCES -----
+    // Validate normalizeOnSubmit (boolean or normalize() options)
+    if ("normalizeOnSubmit" in userOptions) {
+      const value = userOptions.normalizeOnSubmit;
+      if (typeof value === "boolean" || (typeof value === "object" && value !== null)) {
+        merged.normalizeOnSubmit = value;
+      } else {
+        warn(merged, "normalizeOnSubmit must be a boolean or an options object");
+      }
+    }
 
-      if (isBacktickArmed) {
-        const deleteCount = isBacktickSuppressed ? 0 : 1;
+    // Validate suggest (boolean or { words, autoApply })
+    if ("suggest" in userOptions) {
+      merged.suggest = validateSuggest(userOptions.suggest, merged);
+    }
 
-        // Backtick + apostrophe → ʻokina
-        if (APOSTROPHE_CHARS.has(inputData)) {
-          event.preventDefault();
-          insertText(element, OKINA, deleteCount);
-          resetState();
-          return;
-        }
+    // Validate touchDelay (must be a positive number)
+    if ("touchDelay" in userOptions) {
+      if (typeof userOptions.touchDelay === "number" && userOptions.touchDelay > 0) {
+        merged.touchDelay = userOptions.touchDelay;
+      } else {
+        warn(merged, "touchDelay must be a positive number of milliseconds");
+      }
+    }
 
-        // Backtick + lowercase vowel → lowercase macron
-        if (VOWELS_LOWER.has(inputData)) {
-          event.preventDefault();
-          insertText(element, MACRONS[inputData], deleteCount);
-          resetState();
-          return;
-        }
+    // Validate mode (must be one of MODES)
+    if ("mode" in userOptions) {
+      if (MODES.includes(userOptions.mode)) {
+        merged.mode = userOptions.mode;
+      } else {
+        warn(merged, `Unknown mode "${userOptions.mode}", using "${merged.mode}"`);
+      }
+    }
 
-        // Backtick + space → literal backtick (escape sequence)
-        if (inputData === " ") {
-          event.preventDefault();
-          insertText(element, DEAD_KEY, deleteCount);
-          resetState();
-          return;
-        }
+    // Validate methods (array of METHODS names)
+    if ("methods" in userOptions) {
+      if (Array.isArray(userOptions.methods)) {
+        merged.methods = validateMethods(userOptions.methods, merged);
+      } else {
+        warn(merged, "methods must be an array such as [\"deadkey\", \"modifier\"]");
+      }
+    }
 
-        // Backtick + other character → insert both as-is
-        if (isBacktickSuppressed) {
-          event.preventDefault();
-          insertText(element, DEAD_KEY + inputData, 0);
-        }
-        resetState();
-        return;
+    // Validate hotkey (must parse, or be null)
+    if ("hotkey" in userOptions) {
+      if (userOptions.hotkey === null || parseHotkey(userOptions.hotkey)) {
+        merged.hotkey = userOptions.hotkey;
+      } else {
+        warn(merged, `Invalid hotkey "${userOptions.hotkey}", use a form like "Ctrl+Shift+H"`);
       }
+    }
 
-      // ----- BACKSLASH SEQUENCES -----
+    // Validate convertHotkey (must parse, or be null)
+    if ("convertHotkey" in userOptions) {
+      if (userOptions.convertHotkey === null || parseHotkey(userOptions.convertHotkey)) {
+        merged.convertHotkey = userOptions.convertHotkey;
+      } else {
+        warn(merged, `Invalid convertHotkey "${userOptions.convertHotkey}", use a form like "Ctrl+Shift+K"`);
+      }
+    }
 
-      if (isBackslashArmed) {
-        const deleteCount = isBackslashSuppressed ? 0 : 1;
+    // Validate keymap (see validateKeymap)
+    if ("keymap" in userOptions && userOptions.keymap !== undefined) {
+      merged.keymap = validateKeymap(userOptions.keymap, merged);
+    }
 
-        // Backslash + vowel → uppercase macron
-        if (VOWELS_ALL.has(inputData)) {
-          event.preventDefault();
-          insertText(element, MACRONS[inputData.toUpperCase()], deleteCount);
-          resetState();
-          return;
-        }
+    return merged;
+  }
 
-        // Backslash + space → literal backslash (escape sequence)
-        if (inputData === " ") {
-          event.preventDefault();
-          insertText(element, UPPER_KEY, deleteCount);
-          resetState();
-          return;
-        }
 
-        // Backslash + other character → insert both as-is
-        if (isBackslashSuppressed) {
-          event.preventDefault();
-          insertText(element, UPPER_KEY + inputData, 0);
-        }
-        resetState();
-        return;
-      }
+  // ===========================================================================
+  // ELEMENT FILTERING
+  // ===========================================================================
 
-    } catch (error) {
-      warn("Error in beforeinput handler", error);
-      resetState();
+  /**
+   * Works out what kind of editable element a target is:
+   * 
+   *   "input"           <input>
+   *   "textarea"        <textarea>
+   *   "custom"          a form-associated custom element with the
+   *                     text field selection API (value, selectionStart,
+   *                     setRangeText)
+   *   "contenteditable" a contentEditable element
+   * 
+   * @param {HTMLElement} element - The event target
+   * @returns {string|null} The kind, or null if the element is not editable
+   */
+  function getFieldKind(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+    if (element.tagName === "INPUT") {
+      return "input";
     }
+    if (element.tagName === "TEXTAREA") {
+      return "textarea";
+    }
+    if (
+      element.constructor && element.constructor.formAssociated === true &&
+      typeof element.setRangeText === "function" &&
+      typeof element.selectionStart === "number"
+    ) {
+      return "custom";
+    }
+    if (element.isContentEditable) {
+      return "contenteditable";
+    }
+    return null;
   }
 
   /**
-   * Handles input events as a fallback for older browsers.
-   * 
-   * Some browsers don't support beforeinput or don't fire it for all cases.
-   * This handler examines the field content after input and performs
-   * transformations retroactively by looking at the last two characters.
+   * Checks whether an element is edited through its value and the text
+   * field selection API rather than the DOM: inputs, textareas and
+   * form-associated custom elements that behave like them.
    * 
-   * @param {InputEvent} event
+   * @param {HTMLElement} element - The element
+   * @returns {boolean} True for a form field
    */
-  function handleInput(event) {
-    try {
-      // Skip if IME is active or element shouldn't be handled
-      if (isComposing || !shouldHandleElement(event)) {
-        return;
-      }
+  function isFormField(element) {
+    const kind = getFieldKind(element);
+    return kind === "input" || kind === "textarea" || kind === "custom";
+  }
 
-      const element = event.target;
+  /**
+   * Gets the type of an input or custom field, lowercased. Fields with
+   * no type (no attribute, or a custom element with no type property)
+   * count as "text".
+   * 
+   * @param {HTMLElement} element - The field
+   * @returns {string} The type, such as "text" or "search"
+   */
+  function getInputType(element) {
+    const type = typeof element.type === "string" && element.type
+      ? element.type
+      : element.getAttribute("type");
+    return (type || "text").toLowerCase();
+  }
 
-      // Only works for form fields (contentEditable would need different logic)
-      if (element.tagName !== "INPUT" && element.tagName !== "TEXTAREA") {
-        return;
+  /**
+   * The default eligibility checks, run in order by shouldHandleElement().
+   * Each takes the element, its kind (see getFieldKind) and the instance
+   * configuration, and returns false to turn the element down. The
+   * shouldHandle option can override the outcome.
+   * @type {ReadonlyArray<Function>}
+   */
+  const ELIGIBILITY_CHECKS = Object.freeze([
+    // The element type is enabled in config
+    function isKindEnabled(element, kind, config) {
+      if (kind === "input" || kind === "custom") {
+        return config.enableInputs;
       }
-
-      const value = element.value;
-      const cursor = element.selectionStart;
-
-      // Need at least 2 characters to check for a dead key sequence
-      if (typeof cursor !== "number" || cursor < 2) {
-        return;
+      if (kind === "textarea") {
+        return config.enableTextareas;
       }
+      return config.enableContentEditable;
+    },
 
-      const prevChar = value[cursor - 2];
-      const currChar = value[cursor - 1];
-
-      // ----- BACKTICK SEQUENCES -----
-
-      if (prevChar === DEAD_KEY) {
-        // Backtick + apostrophe → ʻokina
-        if (APOSTROPHE_CHARS.has(currChar)) {
-          replaceInFormField(element, cursor - 2, cursor, OKINA);
-          return;
-        }
+    // Inputs are one of the inputTypes
+    function isTypeAllowed(element, kind, config) {
+      if (kind !== "input" && kind !== "custom") {
+        return true;
+      }
+      return config.inputTypes.includes(getInputType(element));
+    },
 
-        // Backtick + lowercase vowel → lowercase macron
-        if (VOWELS_LOWER.has(currChar)) {
-          replaceInFormField(element, cursor - 2, cursor, MACRONS[currChar]);
-          return;
-        }
+    // The element does not match ignoreSelector
+    function isNotIgnored(element, kind, config) {
+      if (!config.ignoreSelector) {
+        return true;
+      }
+      try {
+        return !(element.matches && element.matches(config.ignoreSelector));
+      } catch (error) {
+        warn(config, "Invalid ignoreSelector, check CSS syntax", error);
+        return true;
+      }
+    },
 
-        // Backtick + space → literal backtick
-        if (currChar === " ") {
-          replaceInFormField(element, cursor - 2, cursor, DEAD_KEY);
-          return;
-        }
+    // Not marked data-hawaiian="off", and marked at all in optIn mode
+    function isMarkedOn(element, kind, config) {
+      const activation = readHawaiianAttribute(element, "data-hawaiian");
+      if (activation !== null && activation.split(/[\s,]+/).some((token) => token === "off" || token === "false")) {
+        return false;
       }
+      return !(config.optIn && activation === null);
+    }
+  ]);
+
+  /**
+   * Determines if Hawaiian input should be applied to the target element.
+   * 
+   * Checks:
+   *   1. Element is editable (see getFieldKind)
+   *   2. Element is not disabled or read-only, and form fields have a
+   *      caret (selectionStart is not null)
+   *   3. The ELIGIBILITY_CHECKS all pass: the element type is enabled,
+   *      inputs are one of the inputTypes, the element does not match
+   *      ignoreSelector, and the data-hawaiian markup allows it
+   *   4. The shouldHandle option, if set, can overrule step 3 by
+   *      returning true or false. Step 2 always holds.
+   * 
+   * @param {HTMLElement} element - The event target
+   * @param {Object} config - Configuration of the handling instance
+   * @returns {boolean} True if the element should receive Hawaiian input
+   */
+  function shouldHandleElement(element, config) {
+    const kind = getFieldKind(element);
+    if (!kind) {
+      return false;
+    }
 
-      // ----- BACKSLASH SEQUENCES -----
+    // Never type into fields the user can't edit, or whose caret can't
+    // be read (email and number inputs, among others)
+    if (kind !== "contenteditable" && (element.readOnly || element.disabled || element.selectionStart === null)) {
+      return false;
+    }
 
-      if (prevChar === UPPER_KEY) {
-        // Backslash + vowel → uppercase macron
-        if (VOWELS_ALL.has(currChar)) {
-          replaceInFormField(element, cursor - 2, cursor, MACRONS[currChar.toUpperCase()]);
-          return;
-        }
+    const eligible = ELIGIBILITY_CHECKS.every((check) => check(element, kind, config));
 
-        // Backslash + space → literal backslash
-        if (currChar === " ") {
-          replaceInFormField(element, cursor - 2, cursor, UPPER_KEY);
-          return;
+    if (config.shouldHandle) {
+      try {
+        const decision = config.shouldHandle(element, eligible);
+        if (typeof decision === "boolean") {
+          return decision;
         }
+      } catch (error) {
+        warn(config, "Error in shouldHandle callback", error);
       }
-
-    } catch (error) {
-      warn("Error in input fallback handler", error);
-      resetState();
     }
+
+    return eligible;
   }
 
   /**
-   * Handles compositionstart events from the browser's IME.
-   * We disable our transformations during IME composition.
+   * Reads a data-hawaiian attribute from an element or the closest
+   * element around it that has one, so markup on a form or section
+   * applies to every field inside it.
+   * 
+   * @param {HTMLElement} element - The field
+   * @param {string} name - Attribute name, such as "data-hawaiian-methods"
+   * @returns {string|null} Lowercased, trimmed value, or null if not set
    */
-  function handleCompositionStart() {
-    isComposing = true;
-    resetState();
+  function readHawaiianAttribute(element, name) {
+    const holder = typeof element.closest === "function" ? element.closest(`[${name}]`) : null;
+    return holder ? holder.getAttribute(name).trim().toLowerCase() : null;
   }
 
   /**
-   * Handles compositionend events from the browser's IME.
-   * Re-enables our transformations after IME composition completes.
+   * Works out the configuration for one field by merging its
+   * data-hawaiian attributes over the instance configuration:
+   * 
+   *   data-hawaiian="strict"               deadKeyStrict: true
+   *   data-hawaiian="postfix"              mode: "postfix" (also prefix, both)
+   *   data-hawaiian-methods="deadkey"      methods: ["deadkey"]
+   *   data-hawaiian-autookina              autoOkina: true ("off" or "false" to turn off)
+   *   data-hawaiian-suggest="offer"        suggest without autoApply ("apply" to
+   *                                        apply, "off" or "false" to turn off)
+   * 
+   * Tokens can be combined, as in data-hawaiian="strict both".
+   * 
+   * @param {HTMLElement} element - The field
+   * @param {Object} config - Configuration of the handling instance
+   * @returns {Object} The field's configuration (config itself if there is no markup)
    */
-  function handleCompositionEnd() {
-    isComposing = false;
-    resetState();
+  function getElementConfig(element, config) {
+    const activation = readHawaiianAttribute(element, "data-hawaiian");
+    const methods = readHawaiianAttribute(element, "data-hawaiian-methods");
+    const autoOkina = readHawaiianAttribute(element, "data-hawaiian-autookina");
+    const suggest = readHawaiianAttribute(element, "data-hawaiian-suggest");
+
+    if (activation === null && methods === null && autoOkina === null && suggest === null) {
+      return config;
+    }
+
+    const merged = { ...config };
+
+    for (const token of (activation || "").split(/[\s,]+/)) {
+      if (token === "strict") {
+        merged.deadKeyStrict = true;
+      } else if (MODES.includes(token)) {
+        merged.mode = token;
+      } else if (token && !["on", "true", "off", "false"].includes(token)) {
+        warn(config, `Ignoring unknown data-hawaiian value "${token}"`);
+      }
+    }
+
+    if (methods !== null) {
+      merged.methods = validateMethods(methods.split(/[\s,]+/).filter(Boolean), config);
+    }
+
+    if (autoOkina !== null) {
+      merged.autoOkina = autoOkina !== "off" && autoOkina !== "false";
+    }
+
+    if (suggest === "off" || suggest === "false") {
+      merged.suggest = false;
+    } else if (suggest !== null) {
+      const base = config.suggest || validateSuggest(true, config);
+      const autoApply = suggest === "apply" || (suggest !== "offer" && base.autoApply);
+      merged.suggest = Object.freeze({ ...base, autoApply });
+    }
+
+    return Object.freeze(merged);
   }
 
   /**
-   * Handles focus and click events to reset state.
-   * Prevents stale armed state from affecting a new context.
+   * Checks whether an element belongs to a more specific instance.
+   * 
+   * A document-level install() sees every event first (capture phase on
+   * document), so it has to step aside when the element sits inside an
+   * element that was given its own instance with attach(). Otherwise both
+   * instances would transform the same keystroke. The same goes for an
+   * instance inside an iframe that the page-wide install() also covers
+   * (see the frames option).
+   * 
+   * @param {Object} instance - The instance asking
+   * @param {HTMLElement} element - The event target
+   * @returns {boolean} True if another instance is responsible for the element
    */
-  function handleFocusChange() {
-    resetState();
+  function isClaimedByOtherInstance(instance, element) {
+    for (const other of instances) {
+      if (
+        other !== instance &&
+        other.element !== instance.element &&
+        !containsComposed(other.element, instance.element) &&
+        containsComposed(other.element, element)
+      ) {
+        return true;
+      }
+    }
+    return false;
   }
 
 
   // ===========================================================================
-  // PUBLIC API
+  // TEXT ANALYSIS
   // ===========================================================================
 
   /**
-   * Initializes Hawaiian input on the page.
+   * Checks that a word only uses letters of the Hawaiian alphabet
+   * (apostrophes count, since they may be ʻokina in disguise).
    * 
-   * Attaches event listeners to the document to intercept and transform
-   * input on all eligible text fields. Call this once when your page loads.
+   * @param {string} word - The word to check
+   * @returns {boolean} True if every character could be Hawaiian
+   */
+  function isHawaiianWord(word) {
+    for (const char of word) {
+      if (!HAWAIIAN_LETTERS.has(char) && !OKINA_LOOKALIKES.has(char)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Decides whether an apostrophe is really an ʻokina, from the text
+   * around it.
    * 
-   * @param {Object} [options] - Configuration options
-   * @param {boolean} [options.deadKeyStrict=false] - Hide dead keys while composing
-   * @param {boolean} [options.enableInputs=true] - Enable on input elements
-   * @param {boolean} [options.enableTextareas=true] - Enable on textarea elements
-   * @param {boolean} [options.enableContentEditable=true] - Enable on contentEditable
-   * @param {string} [options.ignoreSelector] - CSS selector for elements to skip
-   * @param {boolean} [options.debug=false] - Log warnings to console
+   * An ʻokina is always followed by a vowel and, inside a word, preceded
+   * by one. The whole word must use only Hawaiian letters, which rules
+   * out contractions like don't, it's or we'll. At the start of a word an
+   * apostrophe may also be an opening quote, so it only counts once the
+   * word is finished and has no closing quote ('aloha' stays quoted).
    * 
-   * @example
-   * // Basic usage
-   * HawaiianInput.install();
+   * @param {string} before - Text before the apostrophe
+   * @param {string} after - Text after the apostrophe (may be incomplete while typing)
+   * @returns {boolean} True if the apostrophe should be an ʻokina
+   */
+  function looksLikeOkina(before, after) {
+    if (!HAWAIIAN_VOWELS.has(after.charAt(0))) {
+      return false;
+    }
+
+    const wordBefore = before.match(WORD_END)[0];
+    const wordAfter = after.match(WORD_START)[0];
+
+    if (!isHawaiianWord(wordBefore) || !isHawaiianWord(wordAfter)) {
+      return false;
+    }
+
+    // Inside a word: vowel + apostrophe + vowel
+    if (wordBefore) {
+      return HAWAIIAN_VOWELS.has(wordBefore.charAt(wordBefore.length - 1));
+    }
+
+    // Start of a word: finished, and not closed by a quote
+    const isFinished = after.length > wordAfter.length;
+    return isFinished && !OKINA_LOOKALIKES.has(wordAfter.charAt(wordAfter.length - 1));
+  }
+
+  /**
+   * Replaces dead key sequences in finished text, such as `a → ā,
+   * \o → Ō and `' → ʻ, using the keymap's deadKeys tables.
    * 
-   * @example
-   * // With options
-   * HawaiianInput.install({
-   *   deadKeyStrict: true,
-   *   ignoreSelector: '.code-editor, #raw-input'
-   * });
+   * @param {string} text - Text to convert
+   * @param {Object} keymap - Validated keymap
+   * @returns {string} Converted text
    */
-  function install(options) {
-    // Validate and merge options
-    config = validateOptions(options);
-
-    // Create bound listener functions (so we can remove them later)
-    listeners = {
-      compositionStart: handleCompositionStart,
-      compositionEnd: handleCompositionEnd,
-      keyDown: handleKeyDown,
-      beforeInput: handleBeforeInput,
-      input: handleInput,
-      focusIn: handleFocusChange,
-      click: handleFocusChange
-    };
+  function convertDeadKeys(text, keymap) {
+    let result = "";
 
-    // Attach event listeners (capture phase for early interception)
-    document.addEventListener("compositionstart", listeners.compositionStart, true);
-    document.addEventListener("compositionend", listeners.compositionEnd, true);
-    document.addEventListener("keydown", listeners.keyDown, true);
-    document.addEventListener("beforeinput", listeners.beforeInput, true);
-    document.addEventListener("input", listeners.input, true);
-    document.addEventListener("focusin", listeners.focusIn, true);
-    document.addEventListener("click", listeners.click, true);
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const next = text.charAt(i + 1);
 
-    if (config.debug) {
-      console.log("[HawaiianInput] Installed with config:", config);
+      if (hasOwn(keymap.deadKeys, char) && hasOwn(keymap.deadKeys[char], next)) {
+        result += keymap.deadKeys[char][next];
+        i++;
+      } else {
+        result += char;
+      }
     }
+
+    return result;
   }
 
   /**
-   * Removes Hawaiian input from the page.
+   * Finds the ʻokina look-alikes that sit where an ʻokina belongs
+   * (see looksLikeOkina) in finished text.
    * 
-   * Detaches all event listeners and resets state. Call this if you need
-   * to completely disable Hawaiian input, such as when navigating away
-   * from a page in a single-page application.
+   * @param {string} text - Text to search
+   * @returns {number[]} Indexes of the look-alikes, in order
+   */
+  function findOkinaLookalikes(text) {
+    const indexes = [];
+
+    for (const match of text.matchAll(WORDS)) {
+      const word = match[0];
+
+      // The end of the text also ends the word
+      const following = text.charAt(match.index + word.length) || " ";
+
+      for (let i = 0; i < word.length; i++) {
+        if (OKINA_LOOKALIKES.has(word[i]) && looksLikeOkina(word.slice(0, i), word.slice(i + 1) + following)) {
+          indexes.push(match.index + i);
+        }
+      }
+    }
+
+    return indexes;
+  }
+
+  /**
+   * Replaces ʻokina look-alikes that sit where an ʻokina belongs
+   * (see findOkinaLookalikes) in finished text.
    * 
-   * @example
-   * // Disable Hawaiian input
-   * HawaiianInput.uninstall();
+   * @param {string} text - Text to convert
+   * @returns {string} Converted text
    */
-  function uninstall() {
-    // Remove all event listeners
-    if (listeners.compositionStart) {
-      document.removeEventListener("compositionstart", listeners.compositionStart, true);
-      document.removeEventListener("compositionend", listeners.compositionEnd, true);
-      document.removeEventListener("keydown", listeners.keyDown, true);
-      document.removeEventListener("beforeinput", listeners.beforeInput, true);
-      document.removeEventListener("input", listeners.input, true);
-      document.removeEventListener("focusin", listeners.focusIn, true);
-      document.removeEventListener("click", listeners.click, true);
-    }
-
-    // Reset state
-    resetState();
-    isComposing = false;
-    listeners = {};
+  function convertOkinaLookalikes(text) {
+    let result = "";
+    let last = 0;
 
-    if (config.debug) {
-      console.log("[HawaiianInput] Uninstalled");
+    for (const index of findOkinaLookalikes(text)) {
+      result += text.slice(last, index) + OKINA;
+      last = index + 1;
     }
+
+    return result + text.slice(last);
+  }
+
+  /**
+   * Removes kahakō and ʻokina (and ʻokina look-alikes) from text, so
+   * spellings with and without them can be compared: Hawaiʻi → Hawaii.
+   * Decomposed macrons (a + U+0304) are composed first, so they go too.
+   * 
+   * @param {string} text - Text to strip
+   * @returns {string} The text without its marks
+   */
+  function stripMarks(text) {
+    let result = "";
+    for (const char of text.normalize("NFC")) {
+      if (hasOwn(MACRON_BASES, char)) {
+        result += MACRON_BASES[char];
+      } else if (char !== OKINA && !OKINA_LOOKALIKES.has(char)) {
+        result += char;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Works out how each character of a text sorts (see compareHawaiian).
+   * 
+   * Each key holds the character's group (0 for spaces, digits and
+   * punctuation, 1 for letters of the Hawaiian alphabet, 2 for other
+   * letters), its place within the group, and whether it has a macron
+   * or is a capital. Apostrophes count as ʻokina.
+   * 
+   * @param {string} text - Text to sort
+   * @returns {Array<{group: number, order: number, macron: boolean, upper: boolean}>}
+   */
+  function getCollationKeys(text) {
+    const keys = [];
+
+    for (const char of text.normalize("NFC")) {
+      const macron = hasOwn(MACRON_BASES, char);
+      const base = macron ? MACRON_BASES[char] : char;
+      const lower = base.toLowerCase();
+      const letter = APOSTROPHE_CHARS.has(base) ? OKINA : lower;
+      const index = HAWAIIAN_ALPHABET.indexOf(letter);
+
+      let group = 0;
+      let order = base.codePointAt(0);
+      if (index !== -1) {
+        group = 1;
+        order = index;
+      } else if (/\p{L}/u.test(base)) {
+        group = 2;
+        order = lower.codePointAt(0);
+      }
+
+      keys.push({ group, order, macron, upper: base !== lower });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Compares two texts in Hawaiian alphabetical order.
+   * 
+   * Letters are compared first, with a ā as the same letter; a tie is
+   * broken by macrons (a before ā), then by case (a before A), then by
+   * the characters themselves, so different texts never compare equal.
+   * 
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} Negative if a sorts first, positive if b does, 0 if equal
+   */
+  function compareHawaiian(a, b) {
+    const left = getCollationKeys(a);
+    const right = getCollationKeys(b);
+    const length = Math.min(left.length, right.length);
+
+    for (let i = 0; i < length; i++) {
+      if (left[i].group !== right[i].group) {
+        return left[i].group - right[i].group;
+      }
+      if (left[i].order !== right[i].order) {
+        return left[i].order - right[i].order;
+      }
+    }
+    if (left.length !== right.length) {
+      return left.length - right.length;
+    }
+
+    for (const level of ["macron", "upper"]) {
+      for (let i = 0; i < length; i++) {
+        if (left[i][level] !== right[i][level]) {
+          return left[i][level] ? 1 : -1;
+        }
+      }
+    }
+
+    // Decomposed and composed macrons are the same text
+    const first = a.normalize("NFC");
+    const second = b.normalize("NFC");
+    return first === second ? 0 : (first < second ? -1 : 1);
+  }
+
+  /**
+   * Indexes a word list for findSuggestions(): each spelling is filed
+   * under its unmarked, lowercase form (ʻōlelo under olelo). Apostrophes
+   * in the list are read as ʻokina where one belongs, so "Hawai'i" works.
+   * A list can hold several spellings of the same unmarked word, and
+   * words without marks, which are then never corrected (listing both
+   * pau and paʻu keeps pau from being changed).
+   * 
+   * @param {string[]} words - Correctly marked words
+   * @returns {Map<string, string[]>} Spellings by unmarked word
+   */
+  function createWordList(words) {
+    if (wordLists.has(words)) {
+      return wordLists.get(words);
+    }
+
+    const list = new Map();
+    for (const word of words) {
+      const spelling = convertOkinaLookalikes(word.trim().normalize("NFC"));
+      const key = stripMarks(spelling).toLowerCase();
+      if (key) {
+        const spellings = list.get(key) || [];
+        if (!spellings.includes(spelling)) {
+          spellings.push(spelling);
+        }
+        list.set(key, spellings);
+      }
+    }
+
+    wordLists.set(words, list);
+    return list;
+  }
+
+  /**
+   * Gives a spelling from the word list the capitalization of the word
+   * that was typed: HAWAII → HAWAIʻI, Olelo → ʻŌlelo. Capitals in the
+   * list are kept (hawaii → Hawaiʻi).
+   * 
+   * @param {string} spelling - Spelling from the word list
+   * @param {string} typed - The word as typed
+   * @returns {string} The spelling in the typed case
+   */
+  function matchCase(spelling, typed) {
+    const letters = stripMarks(typed);
+
+    if (letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+      return spelling.toUpperCase();
+    }
+
+    const first = letters.charAt(0);
+    if (first !== first.toLowerCase()) {
+      const index = spelling.charAt(0) === OKINA ? 1 : 0;
+      return spelling.slice(0, index) + spelling.charAt(index).toUpperCase() + spelling.slice(index + 1);
+    }
+
+    return spelling;
+  }
+
+  /**
+   * Looks up a finished word in a word list (see createWordList) and
+   * returns the marked spellings to offer in its place.
+   * 
+   * Closing quotes after the word are left alone. An apostrophe or quote
+   * before it is only replaced by spellings that start with an ʻokina
+   * ('olelo → ʻōlelo, 'Hawaii → 'Hawaiʻi). No suggestion is made when the
+   * word is already spelled like an entry of the list.
+   * 
+   * @param {string} word - The word (see WORD_END)
+   * @param {Map<string, string[]>} list - Indexed word list
+   * @returns {{text: string, suggestions: string[]}|null} The part of the
+   *   word to replace (from its start) and its suggested spellings, or null
+   */
+  function findSuggestions(word, list) {
+    const text = word.replace(/['\u2018\u2019`]+$/u, "");
+    const spellings = text ? list.get(stripMarks(text).toLowerCase()) : null;
+
+    if (!spellings) {
+      return null;
+    }
+
+    const hasQuote = OKINA_LOOKALIKES.has(text.charAt(0));
+    const suggestions = [];
+
+    for (const spelling of spellings) {
+      const matched = matchCase(spelling, hasQuote ? text.slice(1) : text);
+      const suggestion = hasQuote && matched.charAt(0) !== OKINA ? text.charAt(0) + matched : matched;
+      if (suggestion === text) {
+        return null;
+      }
+      if (!suggestions.includes(suggestion)) {
+        suggestions.push(suggestion);
+      }
+    }
+
+    return { text, suggestions };
+  }
+
+  /**
+   * Toggles one character for the convert command: a vowel gains or
+   * loses its macron (a ⇄ ā), an ʻokina look-alike becomes an ʻokina and
+   * an ʻokina becomes an apostrophe. Other characters are returned as is.
+   * 
+   * @param {string} char - The character
+   * @returns {string} The toggled character
+   */
+  function toggleCharacter(char) {
+    if (hasOwn(MACRONS, char)) {
+      return MACRONS[char];
+    }
+    const plain = Object.keys(MACRONS).find((vowel) => MACRONS[vowel] === char);
+    if (plain) {
+      return plain;
+    }
+    if (OKINA_LOOKALIKES.has(char)) {
+      return OKINA;
+    }
+    return char === OKINA ? "'" : char;
+  }
+
+  /**
+   * Converts selected text for the convert command. A single selected
+   * character is toggled (see toggleCharacter); anything longer goes
+   * through every normalize() step: composed macrons, dead key sequences
+   * and ʻokina look-alikes.
+   * 
+   * @param {string} text - The selected text, or one piece of it
+   * @param {Object} keymap - Validated keymap
+   * @param {boolean} toggle - True if the whole selection is one character
+   * @returns {string} Converted text
+   */
+  function convertSelectedText(text, keymap, toggle) {
+    const composed = text.normalize("NFC");
+    if (toggle) {
+      return toggleCharacter(composed);
+    }
+    return convertOkinaLookalikes(convertDeadKeys(composed, keymap));
+  }
+
+
+  // ===========================================================================
+  // COMPOSER
+  // ===========================================================================
+
+  /**
+   * Creates the result returned by every composer method.
+   * 
+   * @param {boolean} consumed - True if the typed character or key must not go in as typed
+   * @param {Array<Object>} actions - Actions for the host to carry out, in order
+   * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+   */
+  function composerResult(consumed, actions) {
+    return Object.freeze({ consumed, actions: Object.freeze(actions.map((action) => Object.freeze(action))) });
+  }
+
+  /**
+   * Looks up a postfix transformation for a marker typed after a character.
+   * Returns the output and, when the marker repeats the previous postfix
+   * transformation, the literal text to restore instead.
+   * 
+   * @param {Object} keymap - Validated keymap
+   * @param {string} before - Text before the marker
+   * @param {string} marker - The marker character
+   * @param {Object|null} previous - The last postfix transformation
+   * @returns {{text: string, deleteCount: number, record: Object|null}|null}
+   */
+  function resolvePostfix(keymap, before, marker, previous) {
+    const targets = keymap.postfix[marker];
+    const prevChar = before.slice(-1);
+
+    // Marker typed again right after a transformation → literal text
+    if (previous && previous.marker === marker && before.endsWith(previous.output)) {
+      return { text: previous.base + marker, deleteCount: previous.output.length, record: null };
+    }
+
+    if (prevChar && hasOwn(targets, prevChar)) {
+      const output = targets[prevChar];
+      return {
+        text: output,
+        deleteCount: 1,
+        record: { marker, base: prevChar, output }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates the typing state machine, with no DOM access.
+   * 
+   * It takes typed characters and keystrokes and returns what to do with
+   * them: dead keys, escape sequences, postfix sequences, modifier chords
+   * and autoOkina. The configuration is passed to every call, so a host
+   * can use the settings of the field being typed in. createInstance()
+   * drives one through DOM events; createComposer() wraps one for use
+   * without a DOM.
+   * 
+   * The results hold these actions, to be carried out in order:
+   *   { type: "arm", key, suppressed }          a dead key is waiting
+   *   { type: "reset", key, reason }            the armed dead key was dropped
+   *   { type: "insert", text, deleteBefore, source, method }
+   *                                             delete characters before
+   *                                             the cursor, then insert text
+   *   { type: "replace", distance, length, text, source, method }
+   *                                             replace text further back,
+   *                                             leaving the cursor alone
+   * 
+   * @returns {{input: Function, key: Function, reset: Function, getState: Function}}
+   */
+  function createComposerCore() {
+
+    /**
+     * The armed dead key character, or null when idle.
+     * @type {string|null}
+     */
+    let armedKey = null;
+
+    /**
+     * True when the armed dead key was kept out of the text (deadKeyStrict).
+     * @type {boolean}
+     */
+    let isSuppressed = false;
+
+    /**
+     * The last postfix transformation, kept for one character so that
+     * typing the same marker again can undo it (a- → ā, a-- → a-).
+     * @type {{marker: string, base: string, output: string}|null}
+     */
+    let lastPostfix = null;
+
+    /**
+     * Returns to idle.
+     * 
+     * @param {string} reason - Why, such as "transform", "escape", "abandon" or "delete"
+     * @returns {Array<Object>} A reset action if a dead key was armed
+     */
+    function reset(reason) {
+      const key = armedKey;
+      armedKey = null;
+      isSuppressed = false;
+      lastPostfix = null;
+      return key === null ? [] : [{ type: "reset", key, reason }];
+    }
+
+    /**
+     * Arms a dead key, abandoning one that was already armed.
+     * 
+     * @param {string} key - The dead key character
+     * @param {boolean} suppressed - True if the dead key is kept out of the text
+     * @returns {Array<Object>} The actions
+     */
+    function arm(key, suppressed) {
+      const actions = reset("abandon");
+      armedKey = key;
+      isSuppressed = suppressed;
+      actions.push({ type: "arm", key, suppressed });
+      return actions;
+    }
+
+    /**
+     * Applies autoOkina for a character about to be typed.
+     * 
+     * A vowel typed after vowel + apostrophe turns the apostrophe into an
+     * ʻokina straight away (Hawai' + i). Any character that ends a word
+     * checks for an apostrophe at the start of that word ('ōlelo + space).
+     * 
+     * @param {string} char - The character being typed
+     * @param {string|null} before - Text before the cursor
+     * @param {Function} confirm - Approves a transformation
+     * @returns {Object|null} An insert action that replaces the character,
+     *   a replace action that lets it through, or null
+     */
+    function composeOkina(char, before, confirm) {
+      if (!before) {
+        return null;
+      }
+
+      // Vowel after an apostrophe inside a word
+      const lastChar = before.charAt(before.length - 1);
+      if (APOSTROPHE_CHARS.has(lastChar) && HAWAIIAN_VOWELS.has(char)) {
+        const detail = { source: lastChar + char, output: OKINA + char, method: "autookina" };
+        if (before.match(WORD_END)[0].length > 1 && looksLikeOkina(before.slice(0, -1), char) && confirm(detail)) {
+          return { type: "insert", text: detail.output, deleteBefore: 1, source: detail.source, method: "autookina" };
+        }
+        return null;
+      }
+
+      // End of a word that starts with an apostrophe
+      if (char.match(WORD_START)[0] === "") {
+        const word = before.match(WORD_END)[0];
+        const detail = { source: word.charAt(0), output: OKINA, method: "autookina" };
+        if (
+          APOSTROPHE_CHARS.has(detail.source) &&
+          looksLikeOkina(before.slice(0, -word.length), word.slice(1) + char) &&
+          confirm(detail)
+        ) {
+          return { type: "replace", distance: word.length, length: 1, text: OKINA, source: detail.source, method: "autookina" };
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Handles a typed character.
+     * 
+     * @param {Object} config - Validated configuration
+     * @param {string} char - The character
+     * @param {Object} [context] - What the composer may need to know
+     * @param {string|Function} [context.before] - Text before the cursor, not
+     *   counting char, or a function returning it (or null if unknown). Only
+     *   read for postfix sequences, autoOkina and checking a visible dead key.
+     * @param {Function} [context.confirm] - Called with { source, output, method }
+     *   before each transformation; returning false types the character as is
+     * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+     */
+    function input(config, char, context) {
+      const settings = context || {};
+      const confirm = typeof settings.confirm === "function" ? settings.confirm : () => true;
+      const keymap = config.keymap;
+      const useSequences = config.methods.includes("deadkey");
+
+      // Only single characters take part in sequences
+      if (!isSingleChar(char)) {
+        return composerResult(false, []);
+      }
+
+      let before;
+      const getBefore = () => {
+        if (before === undefined) {
+          const value = typeof settings.before === "function" ? settings.before() : settings.before;
+          before = typeof value === "string" ? value : null;
+        }
+        return before;
+      };
+
+      // The previous postfix transformation can only be undone right away
+      const previousPostfix = lastPostfix;
+      lastPostfix = null;
+
+      // ----- DEAD KEY ARMING -----
+
+      // Trigger typed: arm and wait for the next character
+      if (useSequences && config.mode !== "postfix" && hasOwn(keymap.deadKeys, char)) {
+        return composerResult(config.deadKeyStrict, arm(char, config.deadKeyStrict));
+      }
+
+      // ----- DEAD KEY SEQUENCES -----
+
+      if (armedKey) {
+        const key = armedKey;
+        const deleteBefore = isSuppressed ? 0 : 1;
+        const targets = keymap.deadKeys[key];
+        const source = key + char;
+
+        // The cursor moved away from a visible dead key
+        if (!isSuppressed && getBefore() !== null && !getBefore().endsWith(key)) {
+          return composerResult(false, reset("abandon"));
+        }
+
+        // Dead key + mapped character → Hawaiian character
+        // (a rejected transformation is treated like any other character)
+        if (hasOwn(targets, char) && confirm({ source, output: targets[char], method: "deadkey" })) {
+          return composerResult(true, [
+            { type: "insert", text: targets[char], deleteBefore, source, method: "deadkey" },
+            ...reset("transform")
+          ]);
+        }
+
+        // Dead key + escape key → literal dead key (escape sequence)
+        if (char === keymap.escapeKey) {
+          return composerResult(true, [
+            { type: "insert", text: key, deleteBefore, source, method: "escape" },
+            ...reset("escape")
+          ]);
+        }
+
+        // Dead key + other character → both as typed
+        if (isSuppressed) {
+          return composerResult(true, [
+            { type: "insert", text: source, deleteBefore: 0, source, method: "abandon" },
+            ...reset("abandon")
+          ]);
+        }
+        return composerResult(false, reset("abandon"));
+      }
+
+      const actions = [];
+
+      // ----- AUTOMATIC ʻOKINA -----
+
+      if (config.autoOkina) {
+        const okina = composeOkina(char, getBefore(), confirm);
+        if (okina && okina.type === "insert") {
+          return composerResult(true, [okina]);
+        }
+        if (okina) {
+          actions.push(okina);
+        }
+      }
+
+      // ----- POSTFIX SEQUENCES -----
+
+      if (useSequences && config.mode !== "prefix" && hasOwn(keymap.postfix, char) && getBefore() !== null) {
+        const found = resolvePostfix(keymap, getBefore(), char, previousPostfix);
+
+        // Vowel + marker → Hawaiian character
+        if (found && found.record) {
+          const source = found.record.base + char;
+          if (confirm({ source, output: found.text, method: "postfix" })) {
+            lastPostfix = found.record;
+            actions.push({ type: "insert", text: found.text, deleteBefore: found.deleteCount, source, method: "postfix" });
+            return composerResult(true, actions);
+          }
+        }
+
+        // Marker again → literal text
+        if (found && !found.record) {
+          const source = previousPostfix.output + char;
+          actions.push({ type: "insert", text: found.text, deleteBefore: found.deleteCount, source, method: "postfix" });
+          return composerResult(true, actions);
+        }
+      }
+
+      return composerResult(false, actions);
+    }
+
+    /**
+     * Handles a keystroke with a modifier held (modifier chords).
+     * 
+     * @param {Object} config - Validated configuration
+     * @param {{key: string, ctrlKey: boolean, altKey: boolean, metaKey: boolean}} event - The keystroke
+     * @param {Object} [context] - As for input(); only confirm is used
+     * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+     */
+    function key(config, event, context) {
+      const confirm = context && typeof context.confirm === "function" ? context.confirm : () => true;
+      const keymap = config.keymap;
+
+      // Only process when a chord modifier is held
+      const hasModifier = keymap.modifiers.some((name) => event[name + "Key"]);
+      if (!hasModifier || !config.methods.includes("modifier") || !hasOwn(keymap.chords, event.key)) {
+        return composerResult(false, []);
+      }
+
+      // Modifier + mapped key → mapped character
+      const output = keymap.chords[event.key];
+      if (!confirm({ source: event.key, output, method: "modifier" })) {
+        return composerResult(false, []);
+      }
+      return composerResult(true, [{ type: "insert", text: output, deleteBefore: 0, source: event.key, method: "modifier" }]);
+    }
+
+    return {
+      input,
+      key,
+
+      /**
+       * Returns to idle, dropping any armed dead key.
+       * @param {string} reason - Why the state machine is being reset
+       * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+       */
+      reset(reason) {
+        return composerResult(false, reset(reason));
+      },
+
+      /**
+       * Reads the state machine.
+       * @returns {{armedKey: string|null, isArmed: boolean, isSuppressed: boolean}}
+       */
+      getState() {
+        return Object.freeze({ armedKey, isArmed: armedKey !== null, isSuppressed });
+      }
+    };
+  }
+
+
+  // ===========================================================================
+  // TEXT INSERTION
+  // ===========================================================================
+
+  /**
+   * Inserts text at the current cursor position, optionally deleting
+   * characters before the cursor first.
+   * 
+   * Handles both form fields (see isFormField) and contentEditable elements.
+   * 
+   * @param {HTMLElement} element - The target element
+   * @param {string} text - Text to insert
+   * @param {number} deleteCount - Number of characters to delete before inserting
+   * @returns {boolean} True if the text was inserted
+   */
+  function insertText(element, text, deleteCount) {
+    if (isFormField(element)) {
+      insertIntoFormField(element, text, deleteCount);
+      return true;
+    }
+    if (element.isContentEditable) {
+      return insertIntoContentEditable(element, text, deleteCount);
+    }
+    return false;
+  }
+
+  /**
+   * Inserts text into an input or textarea element.
+   * Uses the standard setRangeText API for reliable cursor positioning.
+   * 
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
+   * @param {string} text - Text to insert
+   * @param {number} deleteCount - Characters to delete before cursor
+   */
+  function insertIntoFormField(element, text, deleteCount) {
+    const cursorPosition = element.selectionStart;
+    const deleteStart = Math.max(0, cursorPosition - deleteCount);
+    const previousValue = element.value;
+
+    // Replace the range from deleteStart to cursor with new text
+    element.setRangeText(text, deleteStart, cursorPosition, "end");
+
+    // Dispatch input event so frameworks (React, Vue, etc.) detect the change
+    resetValueTracker(element, previousValue);
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  /**
+   * Makes React notice a value we changed.
+   * 
+   * React keeps a private value tracker on controlled inputs and skips
+   * onChange when the tracked value already equals the field's value.
+   * Setting the tracker back to the previous value makes the next input
+   * event count as a change, so the new value reaches component state
+   * instead of being overwritten on the next render. Other frameworks
+   * only need the input event.
+   * 
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
+   * @param {string} previousValue - Value before our change
+   */
+  function resetValueTracker(element, previousValue) {
+    const tracker = element._valueTracker;
+    if (tracker && typeof tracker.setValue === "function") {
+      tracker.setValue(previousValue);
+    }
+  }
+
+  /**
+   * Inserts text into a contentEditable element.
+   * 
+   * The characters to delete are found by walking back across text nodes
+   * and inline elements, so a dead key typed before a bold or italic
+   * boundary is still removed. They are selected together with the
+   * cursor and replaced with execCommand("insertText"), which keeps the
+   * browser's undo history and fires a native input event that editors
+   * understand. Where execCommand is unavailable or refuses (some shadow
+   * DOM cases), the Range API is used and an input event is dispatched.
+   * 
+   * Nothing is inserted when the characters to delete can't be found
+   * (the cursor moved to another block, say), since inserting without
+   * them would leave both the typed sequence and its replacement.
+   * 
+   * @param {HTMLElement} element - The contentEditable element
+   * @param {string} text - Text to insert
+   * @param {number} deleteCount - Characters to delete before cursor
+   * @returns {boolean} True if the text was inserted
+   */
+  function insertIntoContentEditable(element, text, deleteCount) {
+    const selection = getSelectionFor(element);
+
+    if (!selection || selection.rangeCount === 0) {
+      return false;
+    }
+
+    const doc = element.ownerDocument;
+    const range = selection.getRangeAt(0).cloneRange();
+
+    // Extend the range back over the characters to delete
+    if (deleteCount > 0) {
+      const start = findPointBeforeCaret(getTextRunBeforeCaret(element), deleteCount);
+      if (!start) {
+        return false;
+      }
+      range.setStart(start.node, start.offset);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    if (typeof doc.execCommand === "function") {
+      try {
+        if (doc.execCommand("insertText", false, text)) {
+          return true;
+        }
+      } catch (error) {
+        // Fall through to the Range API
+      }
+    }
+
+    // Delete any selected content and insert new text
+    range.deleteContents();
+    const textNode = element.ownerDocument.createTextNode(text);
+    range.insertNode(textNode);
+
+    // Move cursor to end of inserted text
+    range.setStartAfter(textNode);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    // Dispatch input event so editors and frameworks detect the change
+    element.dispatchEvent(typeof InputEvent === "function"
+      ? new InputEvent("input", { bubbles: true, inputType: "insertText", data: text })
+      : new Event("input", { bubbles: true }));
+    return true;
+  }
+
+  /**
+   * Replaces characters a short distance before the cursor without
+   * moving it. Used to fix an earlier character (such as an apostrophe
+   * at the start of the current word) while the user keeps typing.
+   * 
+   * In contentEditable the characters are selected and replaced with
+   * execCommand("insertText"), as in insertIntoContentEditable(), so the
+   * change lands in the undo history and fires a native input event.
+   * A live Range from the end of the replaced text to the cursor follows
+   * the edit and puts the cursor back afterwards.
+   * 
+   * Nothing changes when the range can't be found before the cursor.
+   * 
+   * @param {HTMLElement} element - The target element
+   * @param {number} distance - How many characters before the cursor the range starts
+   * @param {number} length - Number of characters to replace
+   * @param {string} text - Replacement text (same length keeps the cursor in place)
+   * @returns {boolean} True if the text was replaced
+   */
+  function replaceBeforeCaret(element, distance, length, text) {
+    if (isFormField(element)) {
+      const cursor = element.selectionStart;
+      const start = cursor - distance;
+      if (start < 0) {
+        return false;
+      }
+      const previousValue = element.value;
+      element.setRangeText(text, start, start + length, "preserve");
+
+      // "preserve" moves a cursor at the very end of the range to its start
+      const end = cursor + text.length - length;
+      element.setSelectionRange(end, end);
+      resetValueTracker(element, previousValue);
+      element.dispatchEvent(new Event("input", { bubbles: true }));
+      return true;
+    }
+
+    const selection = getSelectionFor(element);
+    const pieces = getTextRunBeforeCaret(element);
+    if (!selection || !pieces) {
+      return false;
+    }
+
+    const start = findPointBeforeCaret(pieces, distance);
+    const end = findPointBeforeCaret(pieces, distance - length);
+    if (!start || !end) {
+      return false;
+    }
+
+    const doc = element.ownerDocument;
+    const caret = selection.getRangeAt(0).cloneRange();
+    const range = doc.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    let inserted = false;
+    if (typeof doc.execCommand === "function") {
+      try {
+        inserted = doc.execCommand("insertText", false, text);
+      } catch (error) {
+        // Fall through to the Range API
+      }
+    }
+
+    if (!inserted) {
+      // Insert first, so the new text takes the formatting of the start
+      const textNode = doc.createTextNode(text);
+      range.insertNode(textNode);
+      range.setStartAfter(textNode);
+      range.deleteContents();
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      element.dispatchEvent(typeof InputEvent === "function"
+        ? new InputEvent("input", { bubbles: true, inputType: "insertReplacementText", data: text })
+        : new Event("input", { bubbles: true }));
+    }
+
+    // The insertion leaves the cursor after the new text; move it back
+    // to where the user was typing if that was further on
+    if (distance > length) {
+      caret.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(caret);
+    }
+    return true;
+  }
+
+  /**
+   * Remembers text right before the cursor so it can be replaced later,
+   * after the user has typed on. Form fields remember its position in
+   * the value; contentEditable elements keep a live Range, which follows
+   * edits made elsewhere in the document.
+   * 
+   * @param {HTMLElement} element - The target element
+   * @param {number} distance - How many characters before the cursor the text starts
+   * @param {string} text - The text
+   * @returns {Function|null} Called with replacement text; returns false,
+   *   changing nothing, if the text is no longer there. Null if the text
+   *   can't be found now.
+   */
+  function trackTextBeforeCaret(element, distance, text) {
+    if (isFormField(element)) {
+      const start = element.selectionStart - distance;
+      if (start < 0 || element.value.slice(start, start + text.length) !== text) {
+        return null;
+      }
+
+      return (replacement) => {
+        if (element.value.slice(start, start + text.length) !== text) {
+          return false;
+        }
+        const previousValue = element.value;
+        const end = start + text.length;
+        const [selectionStart, selectionEnd] = [element.selectionStart, element.selectionEnd]
+          .map((point) => (point >= end ? point + replacement.length - text.length : Math.min(point, start)));
+        element.setRangeText(replacement, start, end);
+        element.setSelectionRange(selectionStart, selectionEnd);
+        resetValueTracker(element, previousValue);
+        element.dispatchEvent(new Event("input", { bubbles: true }));
+        return true;
+      };
+    }
+
+    const run = getTextRunBeforeCaret(element);
+    const start = findPointBeforeCaret(run, distance);
+    const end = findPointBeforeCaret(run, distance - text.length);
+    if (!start || !end) {
+      return null;
+    }
+
+    const range = element.ownerDocument.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+
+    return (replacement) => {
+      // Text typed right at the start of a live Range ends up inside it
+      const current = range.toString();
+      const pieces = current.endsWith(text) ? getRangePieces(element, range) : null;
+      if (!pieces) {
+        return false;
+      }
+
+      let extra = current.length - text.length;
+      while (extra > 0 && pieces.length > 0) {
+        const count = Math.min(extra, pieces[0].end - pieces[0].start);
+        pieces[0].start += count;
+        extra -= count;
+        if (pieces[0].start === pieces[0].end) {
+          pieces.shift();
+        }
+      }
+      if (pieces.length === 0) {
+        return false;
+      }
+
+      // Each text node keeps as much of the text as it had, so formatting stays put
+      let rest = replacement;
+      pieces.forEach((piece, index) => {
+        const part = index === pieces.length - 1 ? rest : rest.slice(0, piece.end - piece.start);
+        rest = rest.slice(part.length);
+        piece.node.replaceData(piece.start, piece.end - piece.start, part);
+      });
+
+      element.dispatchEvent(typeof InputEvent === "function"
+        ? new InputEvent("input", { bubbles: true, inputType: "insertReplacementText" })
+        : new Event("input", { bubbles: true }));
+      return true;
+    };
+  }
+
+  /**
+   * Finds the part of a field's value that changed, by trimming the
+   * longest common prefix and suffix of the old and new values.
+   * Works for paste (at the cursor) and drop (anywhere in the field).
+   * 
+   * @param {string} oldValue - Value before the change
+   * @param {string} newValue - Value after the change
+   * @returns {{start: number, end: number}} Range of new text in newValue
+   */
+  function findInsertedRange(oldValue, newValue) {
+    const maxStart = Math.min(oldValue.length, newValue.length);
+    let start = 0;
+    while (start < maxStart && oldValue[start] === newValue[start]) {
+      start++;
+    }
+
+    let oldEnd = oldValue.length;
+    let newEnd = newValue.length;
+    while (oldEnd > start && newEnd > start && oldValue[oldEnd - 1] === newValue[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    return { start, end: newEnd };
+  }
+
+  /**
+   * Works out how to normalize text that a paste or drop just added to a
+   * form field. Nothing is changed until apply() is called.
+   * 
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
+   * @param {string} oldValue - Value before the paste or drop
+   * @param {Object} settings - Options for normalize()
+   * @returns {{source: string, output: string, apply: Function}|null} The change, or null if none
+   */
+  function normalizePastedValue(element, oldValue, settings) {
+    const { start, end } = findInsertedRange(oldValue, element.value);
+    const inserted = element.value.slice(start, end);
+    const text = normalize(inserted, settings);
+
+    if (text === inserted) {
+      return null;
+    }
+
+    return {
+      source: inserted,
+      output: text,
+      apply() {
+        const previousValue = element.value;
+        element.setRangeText(text, start, end, "end");
+        resetValueTracker(element, previousValue);
+      }
+    };
+  }
+
+  /**
+   * Works out how to normalize the text nodes a paste or drop added to or
+   * changed in a contentEditable element, keeping the pasted formatting.
+   * When applied, the cursor is kept at the same place in the text.
+   * 
+   * @param {MutationRecord[]} records - Mutations recorded during the paste
+   * @param {Object} settings - Options for normalize()
+   * @returns {{source: string, output: string, apply: Function}|null} The change, or null if none
+   */
+  function normalizePastedNodes(records, settings) {
+    const textNodes = new Set();
+
+    for (const record of records) {
+      if (record.type === "characterData") {
+        textNodes.add(record.target);
+      }
+      for (const node of record.addedNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          textNodes.add(node);
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          const walker = node.ownerDocument.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+          while (walker.nextNode()) {
+            textNodes.add(walker.currentNode);
+          }
+        }
+      }
+    }
+
+    const changes = [];
+    for (const node of textNodes) {
+      const text = normalize(node.data, settings);
+      if (node.isConnected && text !== node.data) {
+        changes.push({ node, text });
+      }
+    }
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return {
+      source: changes.map((change) => change.node.data).join(""),
+      output: changes.map((change) => change.text).join(""),
+      apply() {
+        const selection = getSelectionFor(changes[0].node);
+
+        for (const { node, text } of changes) {
+          const hasCursor = selection && selection.anchorNode === node;
+          const cursor = hasCursor ? normalize(node.data.slice(0, selection.anchorOffset), settings).length : 0;
+
+          node.data = text;
+          if (hasCursor) {
+            selection.collapse(node, Math.min(cursor, text.length));
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Replaces the whole value of a form field and dispatches an input
+   * event so frameworks (React, Vue, etc.) detect the change.
+   * 
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - The form field
+   * @param {string} text - The new value
+   */
+  function replaceFieldValue(element, text) {
+    const previousValue = element.value;
+    element.setRangeText(text, 0, previousValue.length, "end");
+    resetValueTracker(element, previousValue);
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  /**
+   * Finds the selected text in a field, in pieces that can be replaced
+   * one at a time: one piece for a form field, and one per text node for
+   * a contentEditable element, so its formatting is kept.
+   * 
+   * @param {HTMLElement} element - The field
+   * @returns {Array<{node: Text|null, start: number, end: number, text: string}>|null}
+   *   The pieces in document order, or null if nothing is selected
+   */
+  function getSelectedPieces(element) {
+    if (isFormField(element)) {
+      const start = element.selectionStart;
+      const end = element.selectionEnd;
+      if (typeof start !== "number" || start === end) {
+        return null;
+      }
+      return [{ node: null, start, end, text: element.value.slice(start, end) }];
+    }
+
+    const selection = getSelectionFor(element);
+    if (!selection || selection.rangeCount === 0) {
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    if (range.collapsed || !element.contains(range.commonAncestorContainer)) {
+      return null;
+    }
+
+    return getRangePieces(element, range);
+  }
+
+  /**
+   * Splits a range in a contentEditable element into one piece per
+   * editable text node (see getSelectedPieces).
+   * 
+   * @param {HTMLElement} element - The contentEditable element
+   * @param {Range} range - Range inside the element
+   * @returns {Array<{node: Text, start: number, end: number, text: string}>|null}
+   *   The pieces in document order, or null if the range holds no text
+   */
+  function getRangePieces(element, range) {
+    const container = range.commonAncestorContainer;
+    const nodes = [];
+    if (container.nodeType === Node.TEXT_NODE) {
+      nodes.push(container);
+    } else {
+      const walker = element.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        if (range.intersectsNode(walker.currentNode)) {
+          nodes.push(walker.currentNode);
+        }
+      }
+    }
+
+    const pieces = nodes
+      .filter((node) => node.parentElement && node.parentElement.isContentEditable)
+      .map((node) => {
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        return { node, start, end, text: node.data.slice(start, end) };
+      })
+      .filter((piece) => piece.end > piece.start);
+
+    return pieces.length > 0 ? pieces : null;
+  }
+
+  /**
+   * Replaces the pieces found by getSelectedPieces() and selects the
+   * result, so the same text can be converted again.
+   * 
+   * @param {HTMLElement} element - The field
+   * @param {Array<Object>} pieces - Result of getSelectedPieces()
+   * @param {string[]} texts - Replacement text for each piece
+   */
+  function replaceSelectedPieces(element, pieces, texts) {
+    if (isFormField(element)) {
+      const previousValue = element.value;
+      element.setRangeText(texts[0], pieces[0].start, pieces[0].end, "select");
+      resetValueTracker(element, previousValue);
+      element.dispatchEvent(new Event("input", { bubbles: true }));
+      return;
+    }
+
+    pieces.forEach((piece, index) => {
+      piece.node.replaceData(piece.start, piece.end - piece.start, texts[index]);
+    });
+
+    const first = pieces[0];
+    const last = pieces[pieces.length - 1];
+    const selection = getSelectionFor(element);
+    const range = element.ownerDocument.createRange();
+    range.setStart(first.node, first.start);
+    range.setEnd(last.node, last.start + texts[texts.length - 1].length);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    element.dispatchEvent(typeof InputEvent === "function"
+      ? new InputEvent("input", { bubbles: true, inputType: "insertReplacementText" })
+      : new Event("input", { bubbles: true }));
+  }
+
+  /**
+   * Finds the element that owns editing for a contentEditable node:
+   * the outermost contentEditable ancestor. Paste events target the
+   * element holding the cursor, while input events target this host.
+   * 
+   * @param {HTMLElement} element - A contentEditable element
+   * @returns {HTMLElement} The editing host
+   */
+  function getEditingHost(element) {
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  /**
+   * Finds the block a contentEditable node belongs to.
+   * 
+   * @param {Node} node - Node inside the editing host
+   * @param {HTMLElement} host - The editing host
+   * @returns {HTMLElement} The closest block ancestor, or the host
+   */
+  function getBlock(node, host) {
+    let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    while (element && element !== host && !BLOCK_TAGS.has(element.tagName)) {
+      element = element.parentElement;
+    }
+    return element || host;
+  }
+
+  /**
+   * Collects the text in front of a contentEditable cursor.
+   * 
+   * Walks back from the cursor across text nodes and inline elements
+   * (<b>, <em>, <span> and the like) until the start of the block, a
+   * <br> or <img>, or a non-editable element.
+   * 
+   * @param {HTMLElement} element - The contentEditable element
+   * @returns {Array<{node: Text, end: number}>|null} Text nodes in document
+   *   order with the length of each that lies before the cursor, or null
+   *   when there is no collapsed cursor
+   */
+  function getTextRunBeforeCaret(element) {
+    const selection = getSelectionFor(element);
+    if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+      return null;
+    }
+
+    const host = getEditingHost(element);
+    let node = selection.anchorNode;
+    let end = selection.anchorOffset;
+
+    if (!host.contains(node)) {
+      return null;
+    }
+
+    // Cursor between child nodes: start from the deepest node before it
+    if (node.nodeType !== Node.TEXT_NODE) {
+      if (end > 0) {
+        node = node.childNodes[end - 1];
+        while (node.lastChild) {
+          node = node.lastChild;
+        }
+      }
+      end = null;
+    }
+
+    const block = getBlock(node, host);
+    const walker = host.ownerDocument.createTreeWalker(host, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    const pieces = [];
+    walker.currentNode = node;
+
+    for (let current = node; current; current = walker.previousNode()) {
+      if (current.nodeType === Node.TEXT_NODE) {
+        if (!current.parentElement.isContentEditable || getBlock(current, host) !== block) {
+          break;
+        }
+        pieces.unshift({ node: current, end: end === null ? current.data.length : end });
+      } else if (
+        current === host ||
+        current.tagName === "BR" ||
+        current.tagName === "IMG" ||
+        BLOCK_TAGS.has(current.tagName) ||
+        !current.isContentEditable
+      ) {
+        break;
+      }
+      end = null;
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Finds the point a number of characters before the cursor in a run of
+   * text returned by getTextRunBeforeCaret().
+   * 
+   * @param {Array<{node: Text, end: number}>|null} pieces - Text before the cursor
+   * @param {number} count - Characters to go back
+   * @returns {{node: Text, offset: number}|null} The point, or null if the run is too short
+   */
+  function findPointBeforeCaret(pieces, count) {
+    if (!pieces) {
+      return null;
+    }
+
+    let remaining = count;
+    for (let index = pieces.length - 1; index >= 0; index--) {
+      const piece = pieces[index];
+      if (remaining <= piece.end) {
+        return { node: piece.node, offset: piece.end - remaining };
+      }
+      remaining -= piece.end;
+    }
+    return null;
+  }
+
+  /**
+   * Reads the text in front of the cursor.
+   * 
+   * For form fields this is everything before selectionStart. For
+   * contentEditable it is the text of the current block up to the cursor
+   * (see getTextRunBeforeCaret). Returns null when text is selected, since
+   * the next keystroke replaces the selection instead of following the text.
+   * 
+   * @param {HTMLElement} element - The target element
+   * @returns {string|null} Text before the cursor, or null
+   */
+  function getTextBeforeCaret(element) {
+    if (isFormField(element)) {
+      const cursor = element.selectionStart;
+      if (typeof cursor !== "number" || cursor !== element.selectionEnd) {
+        return null;
+      }
+      return element.value.slice(0, cursor);
+    }
+
+    const pieces = getTextRunBeforeCaret(element);
+    if (!pieces) {
+      return null;
+    }
+    return pieces.map((piece) => piece.node.data.slice(0, piece.end)).join("");
+  }
+
+
+  /**
+   * Reads where the cursor is, to tell later whether it has moved.
+   * Form fields give their selectionStart; contentEditable gives the
+   * selection's node and offset. Returns null when text is selected.
+   * 
+   * @param {HTMLElement} element - The target element
+   * @returns {{node: Node, offset: number}|null} The cursor position, or null
+   */
+  function getCaretPosition(element) {
+    if (isFormField(element)) {
+      const cursor = element.selectionStart;
+      if (typeof cursor !== "number" || cursor !== element.selectionEnd) {
+        return null;
+      }
+      return { node: element, offset: cursor };
+    }
+
+    const selection = getSelectionFor(element);
+    if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+      return null;
+    }
+    return { node: selection.focusNode, offset: selection.focusOffset };
+  }
+
+
+  // ===========================================================================
+  // COMPOSING INDICATOR
+  // ===========================================================================
+
+  /**
+   * Style properties copied onto the mirror element used to measure
+   * where the cursor sits inside an input or textarea.
+   */
+  const MIRROR_PROPERTIES = Object.freeze([
+    "boxSizing", "width", "height", "overflowX", "overflowY",
+    "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth",
+    "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+    "fontStyle", "fontVariant", "fontWeight", "fontStretch", "fontSize",
+    "lineHeight", "fontFamily", "textAlign", "textTransform", "textIndent",
+    "letterSpacing", "wordSpacing", "tabSize"
+  ]);
+
+  /**
+   * Finds the on-screen position of the cursor in a field.
+   * 
+   * Form fields don't expose cursor coordinates, so the text before the
+   * cursor is copied into an invisible element styled like the field and
+   * the position of a marker at its end is measured. contentEditable uses
+   * the selection's own rectangle.
+   * 
+   * @param {HTMLElement} element - The focused field
+   * @returns {{left: number, top: number, height: number}} Viewport coordinates
+   */
+  function getCaretRect(element) {
+    const doc = element.ownerDocument;
+    const view = doc.defaultView;
+    const fieldRect = element.getBoundingClientRect();
+
+    if (isFormField(element)) {
+      const style = view.getComputedStyle(element);
+      const mirror = doc.createElement("div");
+      const marker = doc.createElement("span");
+
+      for (const property of MIRROR_PROPERTIES) {
+        mirror.style[property] = style[property];
+      }
+      mirror.style.position = "absolute";
+      mirror.style.visibility = "hidden";
+      mirror.style.top = "0";
+      mirror.style.left = "-9999px";
+      mirror.style.whiteSpace = element.tagName === "TEXTAREA" ? "pre-wrap" : "pre";
+      mirror.style.overflowWrap = element.tagName === "TEXTAREA" ? "break-word" : "normal";
+
+      mirror.textContent = element.value.slice(0, element.selectionStart);
+      marker.textContent = "\u200b";
+      mirror.appendChild(marker);
+      doc.body.appendChild(mirror);
+
+      const lineHeight = marker.offsetHeight || parseFloat(style.fontSize) || 16;
+      const rect = {
+        left: fieldRect.left + marker.offsetLeft - element.scrollLeft,
+        top: fieldRect.top + marker.offsetTop - element.scrollTop,
+        height: lineHeight
+      };
+
+      mirror.remove();
+      return rect;
+    }
+
+    const selection = getSelectionFor(element);
+    if (selection && selection.rangeCount > 0) {
+      const rects = selection.getRangeAt(0).getClientRects();
+      if (rects.length > 0) {
+        return { left: rects[0].left, top: rects[0].top, height: rects[0].height };
+      }
+    }
+
+    // Empty line or no layout: fall back to the field's corner
+    return { left: fieldRect.left, top: fieldRect.top, height: fieldRect.height };
+  }
+
+  /**
+   * Creates the floating indicator shown while a dead key is armed.
+   * 
+   * The indicator is a live region, so screen readers announce the
+   * characters the next key can produce. It is styled inline and can be
+   * themed with the CSS variables --hawaiian-indicator-bg,
+   * --hawaiian-indicator-color and --hawaiian-indicator-font, or through
+   * the hawaiian-input-indicator class.
+   * 
+   * @param {Document} doc - Document to create the indicator in
+   * @returns {{document: Document, show: Function, hide: Function, destroy: Function}}
+   */
+  function createIndicator(doc) {
+    const box = doc.createElement("div");
+    const preview = doc.createElement("span");
+    const label = doc.createElement("span");
+
+    box.className = "hawaiian-input-indicator";
+    box.setAttribute("role", "status");
+    box.setAttribute("aria-live", "polite");
+    box.style.cssText = [
+      "position: fixed",
+      "z-index: 2147483647",
+      "pointer-events: none",
+      "visibility: hidden",
+      "padding: 2px 6px",
+      "border-radius: 4px",
+      "font: var(--hawaiian-indicator-font, 600 13px/1.4 system-ui, sans-serif)",
+      "background: var(--hawaiian-indicator-bg, #134e4a)",
+      "color: var(--hawaiian-indicator-color, #ffffff)",
+      "box-shadow: 0 2px 6px rgba(0, 0, 0, 0.25)"
+    ].join("; ");
+
+    // Visible preview is hidden from screen readers, which get a sentence instead
+    preview.setAttribute("aria-hidden", "true");
+    label.style.cssText = "position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap";
+
+    box.appendChild(preview);
+    box.appendChild(label);
+    doc.body.appendChild(box);
+
+    return {
+      /** The document the indicator lives in. */
+      document: doc,
+
+      /**
+       * Shows the indicator below the cursor of a field.
+       * @param {HTMLElement} element - The field with the armed dead key
+       * @param {string} key - The armed dead key
+       * @param {string[]} outputs - Characters the next key can produce
+       */
+      show(element, key, outputs) {
+        const caret = getCaretRect(element);
+        preview.textContent = `${key} ${outputs.join(" ")}`;
+        label.textContent = `Composing. Next key types ${outputs.join(", ")}.`;
+        box.style.left = `${Math.round(caret.left)}px`;
+        box.style.top = `${Math.round(caret.top + caret.height + 4)}px`;
+        box.style.visibility = "visible";
+      },
+
+      /** Hides the indicator and clears its announcement. */
+      hide() {
+        box.style.visibility = "hidden";
+        preview.textContent = "";
+        label.textContent = "";
+      },
+
+      /** Removes the indicator from the page. */
+      destroy() {
+        box.remove();
+      }
+    };
+  }
+
+
+  // ===========================================================================
+  // CHARACTER PALETTE
+  // ===========================================================================
+
+  /**
+   * Characters shown by default in the on-screen palette.
+   */
+  const PALETTE_CHARACTERS = Object.freeze([
+    MACRONS.a, MACRONS.e, MACRONS.i, MACRONS.o, MACRONS.u,
+    MACRONS.A, MACRONS.E, MACRONS.I, MACRONS.O, MACRONS.U,
+    OKINA
+  ]);
+
+  /**
+   * Stylesheet added once per document for palettes. Every value can be
+   * themed with the --hawaiian-palette-* CSS variables.
+   */
+  const PALETTE_STYLES = `
+.hawaiian-input-palette {
+  display: inline-flex;
+  flex-wrap: wrap;
+  gap: var(--hawaiian-palette-gap, 4px);
+  padding: var(--hawaiian-palette-padding, 4px);
+  background: var(--hawaiian-palette-bg, #f8fafc);
+  border: 1px solid var(--hawaiian-palette-border, #cbd5e1);
+  border-radius: var(--hawaiian-palette-radius, 8px);
+}
+.hawaiian-input-palette button {
+  min-width: 2.25em;
+  min-height: 2.25em;
+  font: var(--hawaiian-palette-font, 600 1.1rem system-ui, sans-serif);
+  color: var(--hawaiian-palette-color, #0f172a);
+  background: var(--hawaiian-palette-button-bg, #ffffff);
+  border: 1px solid var(--hawaiian-palette-border, #cbd5e1);
+  border-radius: var(--hawaiian-palette-button-radius, 6px);
+  cursor: pointer;
+}
+.hawaiian-input-palette button:hover {
+  background: var(--hawaiian-palette-button-hover-bg, #e2e8f0);
+}
+.hawaiian-input-palette button:focus-visible {
+  outline: 2px solid var(--hawaiian-palette-focus, #0f766e);
+  outline-offset: 1px;
+}`;
+
+  /**
+   * Adds the palette stylesheet to a document if it isn't there yet.
+   * 
+   * @param {Document} doc - Document the palette is shown in
+   */
+  function ensurePaletteStyles(doc) {
+    if (doc.getElementById("hawaiian-input-palette-styles")) {
+      return;
+    }
+    const style = doc.createElement("style");
+    style.id = "hawaiian-input-palette-styles";
+    style.textContent = PALETTE_STYLES;
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Describes a palette character for screen readers,
+   * such as "a with kahakō" or "capital A with kahakō".
+   * 
+   * @param {string} char - The character on the button
+   * @returns {string} Accessible name for the button
+   */
+  function describeCharacter(char) {
+    if (char === OKINA) {
+      return "ʻokina";
+    }
+    for (const vowel of Object.keys(MACRONS)) {
+      if (MACRONS[vowel] === char) {
+        return VOWELS_UPPER.has(vowel) ? `capital ${vowel} with kahakō` : `${vowel} with kahakō`;
+      }
+    }
+    return char;
+  }
+
+  /**
+   * Creates the touch chooser: a row of large buttons shown at the
+   * cursor after a vowel is double-tapped or held down in touch mode.
+   * 
+   * Buttons cancel pointerdown so the field keeps focus and the
+   * on-screen keyboard stays open. Themed like the palette with the
+   * --hawaiian-palette-* CSS variables.
+   * 
+   * @param {Document} doc - Document to create the chooser in
+   * @returns {{document: Document, show: Function, hide: Function, contains: Function, destroy: Function}}
+   */
+  function createChooser(doc) {
+    const box = doc.createElement("div");
+    let choices = [];
+
+    ensurePaletteStyles(doc);
+    box.className = "hawaiian-input-palette hawaiian-input-chooser";
+    box.setAttribute("role", "toolbar");
+    box.setAttribute("aria-label", "Hawaiian character choices");
+    box.style.cssText = "position: fixed; z-index: 2147483647; display: none";
+
+    box.addEventListener("pointerdown", (event) => event.preventDefault());
+    box.addEventListener("mousedown", (event) => event.preventDefault());
+    box.addEventListener("click", (event) => {
+      const button = event.target.closest("button");
+      const choice = button && choices[Number(button.value)];
+      if (choice) {
+        choice.choose();
+      }
+    });
+
+    doc.body.appendChild(box);
+
+    return {
+      /** The document the chooser lives in. */
+      document: doc,
+
+      /**
+       * Shows the chooser below the cursor of a field.
+       * @param {HTMLElement} element - The field being typed in
+       * @param {Array<{text: string, label: string, choose: Function}>} options - Buttons to show
+       */
+      show(element, options) {
+        const caret = getCaretRect(element);
+        choices = options;
+        box.textContent = "";
+
+        options.forEach((choice, index) => {
+          const button = doc.createElement("button");
+          button.type = "button";
+          button.value = String(index);
+          button.textContent = choice.text;
+          button.setAttribute("aria-label", choice.label);
+          button.style.minWidth = "44px";
+          button.style.minHeight = "44px";
+          box.appendChild(button);
+        });
+
+        box.style.left = `${Math.round(caret.left)}px`;
+        box.style.top = `${Math.round(caret.top + caret.height + 4)}px`;
+        box.style.display = "";
+      },
+
+      /** Hides the chooser. */
+      hide() {
+        box.style.display = "none";
+        choices = [];
+      },
+
+      /**
+       * Checks whether a node belongs to the chooser.
+       * @param {Node} node - Node to check
+       * @returns {boolean}
+       */
+      contains(node) {
+        return box.contains(node);
+      },
+
+      /** Removes the chooser from the page. */
+      destroy() {
+        box.remove();
+      }
+    };
+  }
+
+
+  // ===========================================================================
+  // INSTANCES
+  // ===========================================================================
+
+  /**
+   * Creates an independent Hawaiian input instance bound to a root node.
+   * 
+   * Each instance has its own configuration, its own dead key state machine
+   * and its own set of event listeners. install() creates one instance for
+   * the whole document; attach() creates one for a single element (or a
+   * container of elements), so fields with different settings can share a
+   * page without sharing state.
+   * 
+   * @param {Document|HTMLElement} root - Node the listeners are attached to
+   * @param {Object} [options] - Configuration options (see install())
+   * @returns {Object} Instance with a detach() method
+   */
+  function createInstance(root, options) {
+
+    // ----- STATE -----
+
+    /**
+     * Options as given, kept so updateOptions() can merge into them.
+     * @type {Object}
+     */
+    let currentOptions = typeof options === "object" && options !== null ? { ...options } : {};
+
+    /**
+     * Current configuration (merged defaults + user options).
+     * Replaced by updateOptions().
+     * @type {Object}
+     */
+    let config = validateOptions(currentOptions);
+
+    /**
+     * False while Hawaiian input is turned off with setEnabled(), toggle()
+     * or the hotkey. Listeners stay attached but leave every event alone.
+     * @type {boolean}
+     */
+    let enabled = true;
+
+    /**
+     * True when the browser's IME (Input Method Editor) is active.
+     * We disable our transformations during IME composition to avoid
+     * interfering with languages like Japanese or Chinese input.
+     * @type {boolean}
+     */
+    let isComposing = false;
+
+    /**
+     * The typing state machine (see createComposerCore). It keeps the
+     * armed dead key; this instance turns DOM events into its input and
+     * carries out the actions it returns (see runActions).
+     */
+    const composer = createComposerCore();
+
+    /**
+     * The element the composer last handled typing in.
+     * Input arriving in any other element resets the state machine, so a
+     * dead key typed in one field can never complete in another.
+     * @type {HTMLElement|null}
+     */
+    let composingElement = null;
+
+    /**
+     * True while this instance is inserting text. Our own insertions
+     * dispatch an input event (and, through execCommand, possibly a
+     * beforeinput event), which the handlers must not process again.
+     * @type {boolean}
+     */
+    let isInserting = false;
+
+    /**
+     * True when typing goes through handleBeforeInput, false while the
+     * input event fallback does the work (see handleInput). Starts from
+     * feature detection and turns true at the first beforeinput event.
+     * @type {boolean}
+     */
+    let usesBeforeInput = supportsBeforeInput(typeof window !== "undefined" ? window : null);
+
+    /**
+     * The most recent autoOkina or suggest correction in each field, kept
+     * until the next edit in that field so it can be undone with Ctrl+Z.
+     * tail is the text expected right before the cursor, starting with
+     * the correction; length is how much of tail the correction is, and
+     * original is the text it replaced.
+     * @type {WeakMap<HTMLElement, {original: string, tail: string, length: number}>}
+     */
+    const corrections = new WeakMap();
+
+    /**
+     * The most recent dead key or modifier transformation in each field,
+     * kept until the next keystroke there so Backspace can revert it
+     * (revertOnBackspace option). source is what was typed, output
+     * what replaced it, and caret where the cursor was left (see
+     * getCaretPosition), so a cursor moved by a click never reverts text.
+     * @type {WeakMap<HTMLElement, {source: string, output: string, caret: Object|null}>}
+     */
+    const reverts = new WeakMap();
+
+    /**
+     * Pending paste or drop per field, recorded when the paste or drop
+     * event fires and consumed by the input event that follows. Form
+     * fields store their old value; contentEditable hosts store a
+     * MutationObserver that records what the paste changes. A page
+     * handler may still cancel the paste after we record it, so any
+     * other edit drops the entry (see discardPaste).
+     * @type {WeakMap<HTMLElement, string|MutationObserver>}
+     */
+    const pendingPastes = new WeakMap();
+
+    /**
+     * The composing indicator, created the first time it is needed.
+     * @type {Object|null}
+     */
+    let indicator = null;
+
+    /**
+     * Touch mode state: the last character typed (to spot double taps),
+     * a double-tapped vowel waiting for its input event, and the chooser,
+     * created the first time it is needed.
+     */
+    let lastTap = null;
+    let pendingChooser = null;
+    let chooser = null;
+
+    /**
+     * The field whose held vowel key already opened the chooser (touch
+     * mode), until a key is pressed anew.
+     * @type {HTMLElement|null}
+     */
+    let heldVowel = null;
+
+    /**
+     * Text of the IME composition in progress, as of its last update, so
+     * touch mode can tell a tap (one character added) from a correction.
+     * @type {string}
+     */
+    let compositionText = "";
+
+    /**
+     * Same-origin iframe documents this instance listens to (frames
+     * option), keyed by iframe; null while a frame is cross-origin or not
+     * loaded. The observer finds iframes added later, and watchedRoots
+     * holds the documents and shadow roots it already watches.
+     * @type {Map<HTMLIFrameElement, Document|null>}
+     */
+    const frameDocuments = new Map();
+    let watchedRoots = new WeakSet();
+    let frameObserver = null;
+
+    /**
+     * Shadow roots this instance listens to for submit events. Submit
+     * events aren't composed, so one from a form inside a shadow root
+     * never reaches the document; the root of each handled field's form
+     * gets a listener of its own (see listenForSubmit).
+     * @type {Set<ShadowRoot>}
+     */
+    const submitRoots = new Set();
+
+    const instance = {
+      element: root,
+      detach,
+      setEnabled,
+      toggle,
+      updateOptions,
+      getState,
+      convertSelection
+    };
+
+
+    // ----- HELPERS -----
+
+    /**
+     * Resets the state machine to idle.
+     * Called after a transformation completes, on focus change,
+     * or when a non-matching character is typed after a dead key.
+     * 
+     * If a dead key was armed, dispatches hawaiian:reset with the reason:
+     * "transform", "escape", "abandon", "delete", "focus", "composition",
+     * "disable", "options" or "detach".
+     * 
+     * @param {string} reason - Why the state machine is being reset
+     */
+    function resetState(reason) {
+      runActions(composingElement, composer.reset(reason), 0, "");
+    }
+
+    /**
+     * Carries out the actions returned by the composer in a field:
+     * dispatches hawaiian:armed and hawaiian:reset, shows and hides the
+     * composing indicator, and makes the text changes.
+     * 
+     * @param {HTMLElement} element - The field
+     * @param {{consumed: boolean, actions: Array<Object>}} result - Composer result
+     * @param {number} typed - Length of the typed character if it is already
+     *   in the field (input event fallback), otherwise 0
+     * @param {string} char - The typed character
+     */
+    function runActions(element, result, typed, char) {
+      // A consumed character that is already in the field has to come out
+      let pending = result.consumed ? typed : 0;
+
+      for (const action of result.actions) {
+        if (action.type === "arm") {
+          if (config.indicator) {
+            showIndicator(element, action.key);
+          }
+          emit(element, "hawaiian:armed", { key: action.key, suppressed: action.suppressed, element }, false);
+        } else if (action.type === "reset") {
+          if (indicator) {
+            indicator.hide();
+          }
+          emit(element, "hawaiian:reset", { key: action.key, reason: action.reason, element }, false);
+        } else if (action.type === "insert") {
+          const inserted = applyText(element, action.text, action.deleteBefore + pending);
+          pending = 0;
+          if (inserted && (action.method === "deadkey" || action.method === "modifier")) {
+            reverts.set(element, { source: action.source, output: action.text, caret: getCaretPosition(element) });
+          }
+          if (inserted && action.method === "autookina") {
+            corrections.set(element, { original: action.source.charAt(0), tail: action.text, length: 1 });
+          }
+        } else if (action.type === "replace") {
+          const replaced = applyReplace(element, action.distance + typed, action.length, action.text);
+          if (replaced && action.method === "autookina") {
+            const before = getTextBeforeCaret(element) || "";
+            const tail = before.slice(before.length - action.distance - typed) + (typed ? "" : char);
+            corrections.set(element, { original: action.source, tail, length: 1 });
+          }
+        }
+      }
+
+      if (pending > 0) {
+        applyText(element, "", pending);
+      }
+    }
+
+    /**
+     * Announces a transformation the composer is about to make with a
+     * cancelable hawaiian:transform event.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {{source: string, output: string, method: string}} detail - The transformation
+     * @returns {boolean} False if a listener canceled it
+     */
+    function announce(element, detail) {
+      return emit(element, "hawaiian:transform", { ...detail, element }, true);
+    }
+
+    /**
+     * Shows the composing indicator for an armed dead key, previewing the
+     * distinct outputs of its keymap table.
+     * 
+     * @param {HTMLElement} element - The field with the armed dead key
+     * @param {string} key - The armed dead key
+     */
+    function showIndicator(element, key) {
+      try {
+        // A field in another frame needs an indicator in its own document
+        if (indicator && indicator.document !== element.ownerDocument) {
+          indicator.destroy();
+          indicator = null;
+        }
+        if (!indicator) {
+          indicator = createIndicator(element.ownerDocument);
+        }
+        const outputs = [...new Set(Object.values(config.keymap.deadKeys[key]))];
+        indicator.show(element, key, outputs);
+      } catch (error) {
+        warn(config, "Could not show the composing indicator", error);
+      }
+    }
+
+    /**
+     * Makes a touch mode change the way composer results are made: it is
+     * announced with announce() and carried out by runActions().
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} source - The taps being replaced, such as "aa"
+     * @param {string} output - The resulting text, such as "ā"
+     * @param {number} deleteBefore - Characters of the source already in the field
+     * @returns {boolean} False if a listener canceled the change
+     */
+    function replaceTaps(element, source, output, deleteBefore) {
+      if (!announce(element, { source, output, method: "touch" })) {
+        return false;
+      }
+      const action = { type: "insert", text: output, deleteBefore, source, method: "touch" };
+      runActions(element, { consumed: true, actions: [action] }, 0, "");
+      return true;
+    }
+
+    /**
+     * Inserts text through insertText() while flagging the insertion
+     * as our own (see isInserting).
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} text - Text to insert
+     * @param {number} deleteCount - Number of characters to delete before inserting
+     * @returns {boolean} True if the text was inserted
+     */
+    function applyText(element, text, deleteCount) {
+      isInserting = true;
+      try {
+        return insertText(element, text, deleteCount);
+      } finally {
+        isInserting = false;
+      }
+    }
+
+    /**
+     * Replaces text before the cursor through replaceBeforeCaret() while
+     * flagging the change as our own (see isInserting).
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {number} distance - How many characters before the cursor the range starts
+     * @param {number} length - Number of characters to replace
+     * @param {string} text - Replacement text
+     * @returns {boolean} True if the text was replaced
+     */
+    function applyReplace(element, distance, length, text) {
+      isInserting = true;
+      try {
+        return replaceBeforeCaret(element, distance, length, text);
+      } finally {
+        isInserting = false;
+      }
+    }
+
+    /**
+     * Undoes the last autoOkina or suggest correction in a field, if the
+     * text before the cursor still ends the way the correction left it.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @returns {boolean} True if a correction was undone
+     */
+    function undoCorrection(element) {
+      const correction = corrections.get(element);
+      const before = getTextBeforeCaret(element);
+      corrections.delete(element);
+
+      if (!correction || !before || !before.endsWith(correction.tail)) {
+        return false;
+      }
+
+      return applyReplace(element, correction.tail.length, correction.length, correction.original);
+    }
+
+    /**
+     * Puts back the keys that produced a transformation, if it is still
+     * right before the cursor. Announced with a cancelable
+     * hawaiian:transform event (method "revert").
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {{source: string, output: string, caret: Object|null}} revert - The transformation
+     * @returns {boolean} True if it was reverted
+     */
+    function revertTransformation(element, revert) {
+      const caret = getCaretPosition(element);
+      if (!caret || !revert.caret || caret.node !== revert.caret.node || caret.offset !== revert.caret.offset) {
+        return false;
+      }
+      const before = getTextBeforeCaret(element);
+      if (!before || !before.endsWith(revert.output)) {
+        return false;
+      }
+      if (!announce(element, { source: revert.output, output: revert.source, method: "revert" })) {
+        return false;
+      }
+      return applyText(element, revert.source, revert.output.length);
+    }
+
+    /**
+     * Checks the word just finished against the suggest word list (see
+     * findSuggestions), when a character that ends a word is typed.
+     * 
+     * With autoApply and a single suggestion, the word is corrected with
+     * a cancelable hawaiian:transform event (method "suggest"), and
+     * Ctrl+Z puts it back. Otherwise hawaiian:suggest offers the
+     * suggestions, with an apply() function for the one the user picks.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {Object} fieldConfig - The field's configuration
+     * @param {string} char - The character that was typed
+     * @param {number} typed - Length of the typed character if it is already
+     *   in the field (input event fallback), otherwise 0
+     */
+    function suggestWord(element, fieldConfig, char, typed) {
+      if (!fieldConfig.suggest || char.match(WORD_START)[0] !== "") {
+        return;
+      }
+
+      const before = getTextBeforeCaret(element);
+      if (!before) {
+        return;
+      }
+
+      const word = before.slice(0, before.length - typed).match(WORD_END)[0];
+      const found = findSuggestions(word, fieldConfig.suggest.words);
+      if (!found) {
+        return;
+      }
+
+      const distance = word.length + typed;
+
+      if (fieldConfig.suggest.autoApply && found.suggestions.length === 1) {
+        const output = found.suggestions[0];
+        if (announce(element, { source: found.text, output, method: "suggest" }) &&
+          applyReplace(element, distance, found.text.length, output)) {
+          const after = getTextBeforeCaret(element) || "";
+          const tail = after.slice(after.length - distance + found.text.length - output.length) + (typed ? "" : char);
+          corrections.set(element, { original: found.text, tail, length: output.length });
+        }
+        return;
+      }
+
+      const replace = trackTextBeforeCaret(element, distance, found.text);
+      if (!replace) {
+        return;
+      }
+
+      emit(element, "hawaiian:suggest", {
+        word: found.text,
+        suggestions: Object.freeze(found.suggestions),
+        element,
+
+        /**
+         * Replaces the word, if it is still there.
+         * @param {string} [text] - Spelling to use (default: the first suggestion)
+         * @returns {boolean} True if the word was replaced
+         */
+        apply(text) {
+          const replacement = text === undefined ? found.suggestions[0] : text;
+          if (typeof replacement !== "string") {
+            throw new TypeError("apply() requires a string");
+          }
+          isInserting = true;
+          try {
+            return replace(replacement);
+          } finally {
+            isInserting = false;
+          }
+        }
+      }, false);
+    }
+
+    /**
+     * Determines if this instance should handle the event's target.
+     * Fields inside open shadow roots are found through getEventTarget().
+     * 
+     * @param {Event} event - The DOM event
+     * @returns {boolean} True if the element should receive Hawaiian input
+     */
+    function shouldHandle(event) {
+      const element = getEventTarget(event);
+      return enabled && shouldHandleElement(element, config) && !isClaimedByOtherInstance(instance, element);
+    }
+
+
+    // ----- EVENT HANDLERS -----
+
+    /**
+     * Handles keydown events for Method 2 (modifier chords).
+     * 
+     * When one of the keymap's modifiers is held while typing a key from
+     * its chords table, we intercept the keypress and insert the mapped
+     * character. By default Ctrl or Alt + vowel gives a macron (case
+     * preserved) and Ctrl or Alt + apostrophe gives an ʻokina.
+     * 
+     * In touch mode, a vowel key held down opens the chooser (see
+     * handleLongPress).
+     * 
+     * @param {KeyboardEvent} event
+     */
+    function handleKeyDown(event) {
+      try {
+        const element = getEventTarget(event);
+
+        // Hotkey turns this instance on and off, so it is checked even while off
+        if (
+          !isComposing &&
+          matchesHotkey(event, parseHotkey(config.hotkey)) &&
+          shouldHandleElement(element, config) &&
+          !isClaimedByOtherInstance(instance, element)
+        ) {
+          event.preventDefault();
+          changeEnabled(!enabled, "hotkey", element);
+          return;
+        }
+
+        // Skip if IME is active or element shouldn't be handled
+        if (isComposing || !shouldHandle(event)) {
+          return;
+        }
+
+        const fieldConfig = getElementConfig(element, config);
+
+        // Any key but Backspace (arrows, clicks aside) ends the chance to revert.
+        // Android keyboards send "Unidentified" for every key, Backspace
+        // included, and IMEs send "Process"; beforeinput tells those apart.
+        if (!["Backspace", "Shift", "Control", "Alt", "Meta", "Unidentified", "Process"].includes(event.key)) {
+          reverts.delete(element);
+        }
+
+        // Ctrl+Z / ⌘Z right after a correction → put the typed text back
+        const isUndo = (event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey &&
+          (event.key === "z" || event.key === "Z");
+        if (isUndo && corrections.has(element)) {
+          if (undoCorrection(element)) {
+            event.preventDefault();
+          }
+          return;
+        }
+
+        // Touch mode: a vowel key held down → the chooser, not a row of vowels
+        if (!event.repeat) {
+          heldVowel = null;
+        } else if (config.touch && hasOwn(MACRONS, event.key) && !event.ctrlKey && !event.altKey && !event.metaKey) {
+          event.preventDefault();
+          handleLongPress(element, event.key);
+          return;
+        }
+
+        // Convert shortcut → convert the selected text
+        if (matchesHotkey(event, parseHotkey(config.convertHotkey))) {
+          event.preventDefault();
+          convertSelection(element);
+          return;
+        }
+
+        // Modifier + mapped key → mapped character
+        const result = composer.key(fieldConfig, event, { confirm: (detail) => announce(element, detail) });
+        if (result.consumed) {
+          event.preventDefault();
+          runActions(element, result, 0, "");
+        }
+
+      } catch (error) {
+        warn(config, "Error in keydown handler", error);
+      }
+    }
+
+    /**
+     * Handles beforeinput events for Method 1 (dead keys).
+     * 
+     * This is the primary handler for modern browsers. It intercepts
+     * character input before it reaches the DOM, allowing us to:
+     *   1. Arm a dead key when one of the keymap's triggers is typed
+     *   2. Transform sequences when a mapped character follows a dead key
+     *   3. Handle escape sequences (dead key + escape key)
+     * 
+     * @param {InputEvent} event
+     */
+    function handleBeforeInput(event) {
+      usesBeforeInput = true;
+
+      try {
+        // Skip if the input is our own or element shouldn't be handled
+        if (isInserting || !shouldHandle(event)) {
+          return;
+        }
+
+        // Pasted and dropped text is never typing, even a single "`"
+        if (PASTE_INPUT_TYPES.includes(event.inputType)) {
+          resetState("abandon");
+          return;
+        }
+
+        // A paste or drop canceled by the page never got its input event
+        discardPaste(getEventTarget(event));
+
+        // Skip while an IME composes, except to spot double taps in touch mode
+        if (isComposing) {
+          if (config.touch && event.inputType === "insertCompositionText") {
+            handleCompositionTap(getEventTarget(event), event.data || "");
+          }
+          return;
+        }
+
+        const inputData = event.data || "";
+        const element = getEventTarget(event);
+        const fieldConfig = getElementConfig(element, config);
+
+        // A dead key armed in another field never carries over
+        if (composingElement !== element) {
+          resetState("focus");
+          composingElement = element;
+        }
+
+        // Undo from the Edit menu right after a correction
+        if (event.inputType === "historyUndo" && corrections.has(element)) {
+          if (undoCorrection(element)) {
+            event.preventDefault();
+          }
+          return;
+        }
+
+        // Any other edit makes the last correction final
+        corrections.delete(element);
+        const revert = reverts.get(element);
+        reverts.delete(element);
+
+        // Typing on dismisses the touch chooser
+        if (chooser) {
+          chooser.hide();
+        }
+
+        // Backspace right after a transformation → the keys that produced it
+        if (event.inputType === "deleteContentBackward" && revert && fieldConfig.revertOnBackspace) {
+          if (revertTransformation(element, revert)) {
+            event.preventDefault();
+            resetState("delete");
+            return;
+          }
+        }
+
+        // Reset state on delete operations
+        if (event.inputType && event.inputType.startsWith("delete")) {
+          resetState("delete");
+          return;
+        }
+
+        // A new line ends a word too
+        if (event.inputType === "insertLineBreak" || event.inputType === "insertParagraph") {
+          suggestWord(element, fieldConfig, "\n", 0);
+          return;
+        }
+
+        // Only process single character insertions
+        if (inputData.length !== 1) {
+          return;
+        }
+
+        const result = composer.input(fieldConfig, inputData, {
+          before: () => getTextBeforeCaret(element),
+          confirm: (detail) => announce(element, detail)
+        });
+        if (result.consumed) {
+          event.preventDefault();
+        }
+        runActions(element, result, 0, inputData);
+
+        // ----- SUGGESTIONS -----
+
+        if (!result.consumed) {
+          suggestWord(element, fieldConfig, inputData, 0);
+        }
+
+        // ----- TOUCH DOUBLE TAPS -----
+
+        // Only for characters the composer left alone
+        const isUntouched = !result.consumed && result.actions.length === 0;
+        if (isUntouched && config.touch && handleTouchTap(event, element, inputData)) {
+          event.preventDefault();
+        }
+
+      } catch (error) {
+        warn(config, "Error in beforeinput handler", error);
+        resetState("abandon");
+      }
+    }
+
+    /**
+     * Handles input events: touch chooser, pasted text, and typing in
+     * older browsers.
+     * 
+     * Browsers without beforeinput (see supportsBeforeInput) get the same
+     * state machine as handleBeforeInput, run after the fact: a typed
+     * dead key arms (and is taken back out in strict mode), and the next
+     * typed character completes the sequence by replacing what is already
+     * in the field. Only characters typed while armed are transformed, so
+     * text that merely contains a sequence is left alone. The first
+     * beforeinput event switches an instance over to handleBeforeInput
+     * for good, so no keystroke is handled twice.
+     * 
+     * @param {InputEvent} event
+     */
+    function handleInput(event) {
+      try {
+        // Skip if the input is our own or element shouldn't be handled
+        if (isInserting || !shouldHandle(event)) {
+          return;
+        }
+
+        const element = getEventTarget(event);
+        const fieldConfig = getElementConfig(element, config);
+
+        // ----- TOUCH CHOOSER -----
+
+        // A double tap spotted in beforeinput, composing or not
+        if (pendingChooser) {
+          const { element: tapped, vowel } = pendingChooser;
+          pendingChooser = null;
+          if (tapped === element) {
+            showDoubleTapChooser(element, vowel);
+            return;
+          }
+        }
+
+        // Skip while an IME composes
+        if (isComposing) {
+          return;
+        }
+
+        // ----- PASTE AND DROP -----
+
+        // Moving text by drag fires a delete first; wait for the drop itself.
+        // Browsers without inputType are trusted to send the paste's own event.
+        if (pendingPastes.has(element) && event.inputType !== "deleteByDrag") {
+          if (!event.inputType || PASTE_INPUT_TYPES.includes(event.inputType)) {
+            finishPaste(element);
+            return;
+          }
+          discardPaste(element);
+        }
+
+        // ----- FALLBACK TYPING PIPELINE -----
+
+        // Browsers with beforeinput type through handleBeforeInput alone
+        if (usesBeforeInput) {
+          return;
+        }
+
+        // A dead key armed in another field never carries over
+        if (composingElement !== element) {
+          resetState("focus");
+          composingElement = element;
+        }
+
+        if (event.inputType && event.inputType.startsWith("delete")) {
+          resetState("delete");
+          return;
+        }
+
+        // Only process single character insertions
+        const inputData = getTypedChar(event, element);
+        if (inputData === null) {
+          return;
+        }
+
+        // The character is already in the field, right before the cursor
+        const before = getTextBeforeCaret(element);
+        if (before === null || !before.endsWith(inputData)) {
+          resetState("abandon");
+          return;
+        }
+
+        const result = composer.input(fieldConfig, inputData, {
+          before: before.slice(0, -inputData.length),
+          confirm: (detail) => announce(element, { ...detail, method: "fallback" })
+        });
+        runActions(element, result, inputData.length, inputData);
+
+        if (!result.consumed) {
+          suggestWord(element, fieldConfig, inputData, inputData.length);
+        }
+
+      } catch (error) {
+        warn(config, "Error in input fallback handler", error);
+        resetState("abandon");
+      }
+    }
+
+    /**
+     * Spots double taps in touch mode.
+     * 
+     * Two apostrophes in quick succession become an ʻokina straight away.
+     * A vowel typed twice is left as typed, and once it is in the field a
+     * chooser offers the macron version (see handleInput).
+     * 
+     * @param {InputEvent} event - The beforeinput event
+     * @param {HTMLElement} element - The target element
+     * @param {string} inputData - The character being typed
+     * @returns {boolean} True if the character was handled here
+     */
+    function handleTouchTap(event, element, inputData) {
+      const before = isDoubleTap(element, inputData) ? getTextBeforeCaret(element) : null;
+
+      if (!before || !before.endsWith(inputData)) {
+        return false;
+      }
+
+      // Double apostrophe → ʻokina
+      if (APOSTROPHE_CHARS.has(inputData)) {
+        lastTap = null;
+        return replaceTaps(element, inputData + inputData, OKINA, 1);
+      }
+
+      // Double vowel → offer the macron once the vowel is in the field
+      if (hasOwn(MACRONS, inputData)) {
+        lastTap = null;
+        pendingChooser = { element, vowel: inputData };
+      }
+      return false;
+    }
+
+    /**
+     * Records a tap in touch mode and checks whether it repeats the
+     * previous one in the same field within touchDelay.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} char - The character typed
+     * @returns {boolean} True for a double tap
+     */
+    function isDoubleTap(element, char) {
+      const now = Date.now();
+      const previous = lastTap;
+      lastTap = { element, char, time: now };
+
+      return Boolean(previous) &&
+        previous.element === element &&
+        previous.char === char &&
+        now - previous.time <= config.touchDelay;
+    }
+
+    /**
+     * Spots double-tapped vowels while a keyboard composes a word.
+     * 
+     * The text can't be changed during a composition, so only the vowel
+     * chooser is offered, once the composition's input event arrives.
+     * Updates that don't add exactly one character (autocorrect, a
+     * suggestion picked from the keyboard's strip) are not taps.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} text - The composition text after this update
+     */
+    function handleCompositionTap(element, text) {
+      const previous = compositionText;
+      compositionText = text;
+
+      if (chooser) {
+        chooser.hide();
+      }
+      if (text.length !== previous.length + 1 || !text.startsWith(previous)) {
+        lastTap = null;
+        return;
+      }
+
+      const char = text.slice(-1);
+      if (isDoubleTap(element, char) && hasOwn(MACRONS, char) && text.endsWith(char + char)) {
+        lastTap = null;
+        pendingChooser = { element, vowel: char };
+      }
+    }
+
+    /**
+     * Opens the touch chooser for a double-tapped vowel. Choosing the
+     * macron replaces both vowels (aa → ā); choosing the ʻokina puts one
+     * between them (aa → aʻa).
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} vowel - The double-tapped vowel
+     */
+    function showDoubleTapChooser(element, vowel) {
+      showChooser(element, vowel + vowel, [
+        { text: MACRONS[vowel], label: describeCharacter(MACRONS[vowel]) },
+        { text: vowel + OKINA + vowel, label: `${vowel} ʻokina ${vowel}` }
+      ]);
+    }
+
+    /**
+     * Handles a vowel key held down in touch mode, seen as keydown events
+     * that repeat. The first repeat opens the chooser for the vowel the
+     * key typed: the macron replaces it (a → ā), the ʻokina goes before
+     * it (a → ʻa). The repeats themselves are canceled.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} vowel - The held vowel
+     */
+    function handleLongPress(element, vowel) {
+      if (heldVowel === element) {
+        return;
+      }
+      heldVowel = element;
+      lastTap = null;
+
+      const before = getTextBeforeCaret(element);
+      if (before && before.endsWith(vowel)) {
+        showChooser(element, vowel, [
+          { text: MACRONS[vowel], label: describeCharacter(MACRONS[vowel]) },
+          { text: OKINA + vowel, label: `ʻokina ${vowel}` }
+        ]);
+      }
+    }
+
+    /**
+     * Opens the touch chooser. Each choice replaces the tapped text just
+     * before the cursor, if it is still there.
+     * 
+     * @param {HTMLElement} element - The target element
+     * @param {string} typed - The tapped text, such as "aa"
+     * @param {Array<{text: string, label: string}>} choices - The replacements offered
+     */
+    function showChooser(element, typed, choices) {
+      if (chooser && chooser.document !== element.ownerDocument) {
+        chooser.destroy();
+        chooser = null;
+      }
+      if (!chooser) {
+        chooser = createChooser(element.ownerDocument);
+      }
+
+      const replaceTyped = (output) => () => {
+        chooser.hide();
+        const before = getTextBeforeCaret(element);
+        if (before && before.endsWith(typed)) {
+          replaceTaps(element, typed, output, typed.length);
+        }
+      };
+
+      chooser.show(element, choices.map((choice) => ({ ...choice, choose: replaceTyped(choice.text) })));
+    }
+
+    /**
+     * Handles paste and drop events when normalizePaste is on.
+     * 
+     * Records the field's state so that the input event that follows can
+     * normalize exactly what was added (see finishPaste). Letting the
+     * browser insert the text itself keeps rich formatting and the
+     * browser's own clipboard sanitizing in contentEditable.
+     * 
+     * @param {ClipboardEvent|DragEvent} event
+     */
+    function handlePasteOrDrop(event) {
+      try {
+        if (!config.normalizePaste || !shouldHandle(event)) {
+          return;
+        }
+
+        const target = getEventTarget(event);
+
+        if (isFormField(target)) {
+          pendingPastes.set(target, target.value);
+          return;
+        }
+
+        const host = getEditingHost(target);
+        discardPaste(host);
+
+        const observer = new MutationObserver(() => {});
+        observer.observe(host, { childList: true, characterData: true, subtree: true });
+        pendingPastes.set(host, observer);
+
+      } catch (error) {
+        warn(config, "Error in paste handler", error);
+      }
+    }
+
+    /**
+     * Forgets a pending paste or drop, for one that was canceled.
+     * 
+     * @param {HTMLElement} element - Field or editing host
+     */
+    function discardPaste(element) {
+      const pending = pendingPastes.get(element);
+      pendingPastes.delete(element);
+      if (pending && typeof pending !== "string") {
+        pending.disconnect();
+      }
+    }
+
+    /**
+     * Normalizes the text a paste or drop added. This runs in the capture
+     * phase of the paste's own input event, so listeners further along,
+     * React's onChange included, see the normalized value in that one
+     * event; no second input event is dispatched.
+     * 
+     * @param {HTMLElement} element - Field or editing host that received the paste
+     */
+    function finishPaste(element) {
+      const pending = pendingPastes.get(element);
+      const settings = { ...(typeof config.normalizePaste === "object" ? config.normalizePaste : {}), keymap: config.keymap };
+      pendingPastes.delete(element);
+
+      let change;
+      if (typeof pending === "string") {
+        change = normalizePastedValue(element, pending, settings);
+      } else {
+        const records = pending.takeRecords();
+        pending.disconnect();
+        change = normalizePastedNodes(records, settings);
+      }
+
+      const detail = change && { source: change.source, output: change.output, method: "paste", element };
+      if (change && emit(element, "hawaiian:transform", detail, true)) {
+        change.apply();
+      }
+    }
+
+    /**
+     * Handles submit events when normalizeOnSubmit is on.
+     * 
+     * Rewrites the values of the form's fields that this instance handles
+     * with normalize() (by default composed macrons and canonical ʻokina,
+     * no dead key sequences), before the browser reads them. Each change
+     * is announced with a cancelable hawaiian:transform event (method
+     * "submit") and an input event, so frameworks see the new value.
+     * 
+     * @param {SubmitEvent} event
+     */
+    function handleSubmit(event) {
+      try {
+        const form = getEventTarget(event);
+        if (!config.normalizeOnSubmit || !enabled || !form || !form.elements) {
+          return;
+        }
+
+        const settings = {
+          deadKeys: false,
+          ...(typeof config.normalizeOnSubmit === "object" ? config.normalizeOnSubmit : {}),
+          keymap: config.keymap
+        };
+
+        for (const field of Array.from(form.elements)) {
+          const isOwnField = isFormField(field) &&
+            (root.nodeType === Node.DOCUMENT_NODE || containsComposed(root, field)) &&
+            shouldHandleElement(field, config) &&
+            !isClaimedByOtherInstance(instance, field);
+          if (!isOwnField) {
+            continue;
+          }
+
+          const value = field.value;
+          const output = normalize(value, settings);
+          if (output !== value && emit(field, "hawaiian:transform", { source: value, output, method: "submit", element: field }, true)) {
+            isInserting = true;
+            try {
+              replaceFieldValue(field, output);
+            } finally {
+              isInserting = false;
+            }
+          }
+        }
+      } catch (error) {
+        warn(config, "Error in submit handler", error);
+      }
+    }
+
+    /**
+     * Handles compositionstart events from the browser's IME.
+     * We disable our transformations during IME composition.
+     */
+    function handleCompositionStart() {
+      isComposing = true;
+      compositionText = "";
+      resetState("composition");
+    }
+
+    /**
+     * Handles compositionend events from the browser's IME.
+     * Re-enables our transformations after IME composition completes.
+     */
+    function handleCompositionEnd() {
+      isComposing = false;
+      compositionText = "";
+      resetState("composition");
+    }
+
+    /**
+     * Handles focus and click events to reset state.
+     * Prevents stale armed state from affecting a new context, and ends
+     * the chance to revert or undo the last transformation or correction,
+     * since the cursor may no longer be next to it.
+     */
+    function handleFocusChange(event) {
+      const target = getEventTarget(event);
+
+      if (event.type === "focusin" && config.normalizeOnSubmit && shouldHandle(event)) {
+        listenForSubmit(target);
+      }
+
+      // Tapping the touch chooser must not reset it
+      if (chooser && chooser.contains(target)) {
+        return;
+      }
+      if (chooser) {
+        chooser.hide();
+      }
+      lastTap = null;
+
+      for (const element of [composingElement, target]) {
+        if (element) {
+          reverts.delete(element);
+          corrections.delete(element);
+        }
+      }
+
+      resetState("focus");
+    }
+
+
+    // ----- LIFECYCLE -----
+
+    /**
+     * Event listeners, keyed by DOM event name.
+     * Stored so we can properly remove them in detach().
+     * @type {Object}
+     */
+    const listeners = {
+      compositionstart: handleCompositionStart,
+      compositionend: handleCompositionEnd,
+      keydown: handleKeyDown,
+      beforeinput: handleBeforeInput,
+      input: handleInput,
+      focusin: handleFocusChange,
+      click: handleFocusChange,
+      paste: handlePasteOrDrop,
+      drop: handlePasteOrDrop
+    };
+
+    /**
+     * Attaches this instance's listeners to a document or element
+     * (capture phase for early interception).
+     * 
+     * The submit listener always goes on the document, since an attached
+     * element usually sits inside the form rather than around it. Forms
+     * inside shadow roots get theirs when a field is focused (see
+     * listenForSubmit).
+     * 
+     * @param {Document|HTMLElement} target
+     */
+    function listen(target) {
+      for (const type of Object.keys(listeners)) {
+        target.addEventListener(type, listeners[type], true);
+      }
+      (target.ownerDocument || target).addEventListener("submit", handleSubmit, true);
+    }
+
+    /**
+     * Listens for submit events in the shadow root that holds a field's
+     * form, if it is in one.
+     * 
+     * @param {HTMLElement} field - A handled field
+     */
+    function listenForSubmit(field) {
+      const node = field.form || field;
+      const formRoot = typeof node.getRootNode === "function" ? node.getRootNode() : null;
+      if (!formRoot || formRoot.nodeType !== Node.DOCUMENT_FRAGMENT_NODE || submitRoots.has(formRoot)) {
+        return;
+      }
+      submitRoots.add(formRoot);
+      formRoot.addEventListener("submit", handleSubmit, true);
+    }
+
+    /**
+     * Removes this instance's listeners from a document or element.
+     * @param {Document|HTMLElement} target
+     */
+    function unlisten(target) {
+      for (const type of Object.keys(listeners)) {
+        target.removeEventListener(type, listeners[type], true);
+      }
+      (target.ownerDocument || target).removeEventListener("submit", handleSubmit, true);
+    }
+
+    /**
+     * Covers the iframes under a document, shadow root or element, and
+     * keeps watching it for iframes and shadow hosts added later.
+     * 
+     * Shadow roots need no listeners of their own: input events are
+     * composed, so they reach the document. They are only watched for
+     * iframes inside them.
+     * 
+     * @param {Document|ShadowRoot|HTMLElement} node - Node to watch
+     */
+    function watchFrames(node) {
+      if (watchedRoots.has(node)) {
+        return;
+      }
+      watchedRoots.add(node);
+      frameObserver.observe(node, { childList: true, subtree: true });
+      scanForFrames(node);
+    }
+
+    /**
+     * Connects every iframe in a subtree and watches every open shadow
+     * root in it.
+     * @param {Node} node - Root of the subtree
+     */
+    function scanForFrames(node) {
+      if (typeof node.querySelectorAll !== "function") {
+        return;
+      }
+      for (const element of [node, ...node.querySelectorAll("*")]) {
+        if (element.tagName === "IFRAME") {
+          connectFrame(element);
+        }
+        if (element.shadowRoot) {
+          watchFrames(element.shadowRoot);
+        }
+      }
+    }
+
+    /**
+     * Moves this instance's listeners to an iframe's current document.
+     * Called when the iframe is found and again on every load, since
+     * navigating a frame replaces its document.
+     * @param {HTMLIFrameElement} iframe
+     */
+    function connectFrame(iframe) {
+      if (!frameDocuments.has(iframe)) {
+        iframe.addEventListener("load", handleFrameLoad);
+      }
+
+      // contentDocument is null (or throws in old browsers) for cross-origin frames
+      let doc = null;
+      try {
+        doc = iframe.contentDocument;
+      } catch (error) {
+        warn(config, "Skipping cross-origin iframe", error);
+      }
+
+      const previous = frameDocuments.get(iframe) || null;
+      frameDocuments.set(iframe, doc);
+      if (previous === doc) {
+        return;
+      }
+      if (previous) {
+        unlisten(previous);
+      }
+      if (doc) {
+        listen(doc);
+        watchFrames(doc);
+      }
+    }
+
+    /**
+     * Stops listening to an iframe's document.
+     * @param {HTMLIFrameElement} iframe
+     */
+    function disconnectFrame(iframe) {
+      const doc = frameDocuments.get(iframe);
+      if (doc) {
+        unlisten(doc);
+      }
+      iframe.removeEventListener("load", handleFrameLoad);
+      frameDocuments.delete(iframe);
+    }
+
+    function handleFrameLoad(event) {
+      try {
+        connectFrame(event.target);
+      } catch (error) {
+        warn(config, "Error connecting iframe", error);
+      }
+    }
+
+    /**
+     * Connects iframes and shadow hosts added to a watched node, and
+     * forgets iframes that were removed.
+     * @param {MutationRecord[]} records
+     */
+    function handleFrameMutations(records) {
+      try {
+        let removed = false;
+        for (const record of records) {
+          for (const node of record.addedNodes) {
+            scanForFrames(node);
+          }
+          removed = removed || record.removedNodes.length > 0;
+        }
+
+        if (removed) {
+          for (const iframe of [...frameDocuments.keys()]) {
+            if (!iframe.isConnected) {
+              disconnectFrame(iframe);
+            }
+          }
+        }
+      } catch (error) {
+        warn(config, "Error watching for iframes", error);
+      }
+    }
+
+    /**
+     * Starts covering same-origin iframes (frames option).
+     */
+    function startFrames() {
+      if (frameObserver || typeof MutationObserver !== "function") {
+        return;
+      }
+      frameObserver = new MutationObserver(handleFrameMutations);
+      try {
+        watchFrames(root);
+      } catch (error) {
+        warn(config, "Error looking for iframes", error);
+      }
+    }
+
+    /**
+     * Stops covering iframes and removes the listeners added to them.
+     */
+    function stopFrames() {
+      if (frameObserver) {
+        frameObserver.disconnect();
+        frameObserver = null;
+      }
+      for (const iframe of [...frameDocuments.keys()]) {
+        disconnectFrame(iframe);
+      }
+      watchedRoots = new WeakSet();
+    }
+
+    /**
+     * Turns the instance on or off and dispatches hawaiian:toggle.
+     * 
+     * @param {boolean} value - True to turn Hawaiian input on
+     * @param {string} source - "api" or "hotkey"
+     * @param {HTMLElement|null} element - Field the hotkey was pressed in, if any
+     */
+    function changeEnabled(value, source, element) {
+      if (value === enabled) {
+        return;
+      }
+
+      enabled = value;
+      if (!enabled) {
+        resetState("disable");
+        lastTap = null;
+        pendingChooser = null;
+        if (chooser) {
+          chooser.hide();
+        }
+      }
+      emit(element || root, "hawaiian:toggle", { enabled, source, element }, false);
+    }
+
+    /**
+     * Turns Hawaiian input on or off without removing listeners.
+     * 
+     * @param {boolean} value - True to turn Hawaiian input on
+     * @throws {TypeError} If value is not a boolean
+     */
+    function setEnabled(value) {
+      if (typeof value !== "boolean") {
+        throw new TypeError("setEnabled() requires a boolean");
+      }
+      changeEnabled(value, "api", null);
+    }
+
+    /**
+     * Flips Hawaiian input on or off.
+     * @returns {boolean} True if Hawaiian input is now on
+     */
+    function toggle() {
+      changeEnabled(!enabled, "api", null);
+      return enabled;
+    }
+
+    /**
+     * Changes some options without detaching. Options left out keep
+     * their current values; any armed dead key is abandoned.
+     * 
+     * @param {Object} partial - Options to change (see install())
+     * @throws {TypeError} If partial is not an object
+     */
+    function updateOptions(partial) {
+      if (typeof partial !== "object" || partial === null) {
+        throw new TypeError("updateOptions() requires an options object");
+      }
+
+      resetState("options");
+      currentOptions = { ...currentOptions, ...partial };
+      config = validateOptions(currentOptions);
+
+      if (indicator && !config.indicator) {
+        indicator.destroy();
+        indicator = null;
+      }
+      if (chooser && !config.touch) {
+        chooser.destroy();
+        chooser = null;
+      }
+      if (config.frames) {
+        startFrames();
+      } else {
+        stopFrames();
+      }
+    }
+
+    /**
+     * Reads the instance's current state.
+     * 
+     * @returns {{enabled: boolean, config: Object, isComposing: boolean, armedKey: string|null, isArmed: boolean, isSuppressed: boolean}}
+     */
+    function getState() {
+      return Object.freeze({
+        enabled,
+        config: Object.freeze({ ...config }),
+        isComposing,
+        ...composer.getState()
+      });
+    }
+
+    /**
+     * Converts the selected text in a field in place, announced with a
+     * hawaiian:transform event (method "convert"). A single selected
+     * character is toggled (a ⇄ ā, ' ⇄ ʻ); longer text gets every
+     * normalize() step, ʻokina included. The result stays selected.
+     * 
+     * @param {HTMLElement} [element] - The field (default: the focused element)
+     * @returns {boolean} True if the selection was converted
+     */
+    function convertSelection(element) {
+      try {
+        const doc = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+        const field = element === undefined ? getActiveElement(doc) : element;
+        if (!enabled || !shouldHandleElement(field, config) || isClaimedByOtherInstance(instance, field)) {
+          return false;
+        }
+
+        const pieces = getSelectedPieces(field);
+        if (!pieces) {
+          return false;
+        }
+
+        const source = pieces.map((piece) => piece.text).join("");
+        const toggle = source.normalize("NFC").length === 1;
+        const texts = pieces.map((piece) => convertSelectedText(piece.text, config.keymap, toggle));
+        const output = texts.join("");
+
+        if (output === source || !emit(field, "hawaiian:transform", { source, output, method: "convert", element: field }, true)) {
+          return false;
+        }
+
+        resetState("abandon");
+        isInserting = true;
+        try {
+          replaceSelectedPieces(field, pieces, texts);
+        } finally {
+          isInserting = false;
+        }
+        return true;
+      } catch (error) {
+        warn(config, "Could not convert the selection", error);
+        return false;
+      }
+    }
+
+    /**
+     * Removes this instance's event listeners and resets its state.
+     * Calling detach() more than once is harmless.
+     */
+    function detach() {
+      if (!instances.has(instance)) {
+        return;
+      }
+
+      // Remove all event listeners
+      unlisten(root);
+      stopFrames();
+      for (const formRoot of submitRoots) {
+        formRoot.removeEventListener("submit", handleSubmit, true);
+      }
+      submitRoots.clear();
+
+      // Reset state
+      resetState("detach");
+      isComposing = false;
+      instances.delete(instance);
+
+      if (indicator) {
+        indicator.destroy();
+        indicator = null;
+      }
+      if (chooser) {
+        chooser.destroy();
+        chooser = null;
+      }
+
+      if (config.debug) {
+        console.log("[HawaiianInput] Detached");
+      }
+    }
+
+    listen(root);
+    instances.add(instance);
+
+    if (config.frames) {
+      startFrames();
+    }
+
+    if (config.debug) {
+      console.log("[HawaiianInput] Attached with config:", config);
+    }
+
+    return Object.freeze(instance);
+  }
+
+
+  // ===========================================================================
+  // PUBLIC API
+  // ===========================================================================
+
+  /**
+   * Initializes Hawaiian input on the page.
+   * 
+   * Attaches event listeners to the document to intercept and transform
+   * input on all eligible text fields. Call this once when your page loads.
+   * Calling it again replaces the previous installation.
+   * 
+   * Elements given their own instance with attach() keep their own
+   * configuration and are skipped by the page-wide installation.
+   * 
+   * @param {Object} [options] - Configuration options
+   * @param {boolean} [options.deadKeyStrict=false] - Hide dead keys while composing
+   * @param {string} [options.mode="prefix"] - "prefix", "postfix" or "both"
+   * @param {boolean} [options.autoOkina=false] - Turn apostrophes in Hawaiian words into ʻokina
+   * @param {boolean|Object} [options.normalizePaste=false] - Normalize pasted and dropped text
+   * @param {boolean|Object} [options.normalizeOnSubmit=false] - Normalize field values when their form is submitted
+   * @param {boolean|Object} [options.suggest=false] - Offer or apply kahakō and ʻokina for words in a word list
+   * @param {boolean} [options.revertOnBackspace=false] - Backspace after a transformation puts back the typed keys
+   * @param {boolean} [options.indicator=false] - Show a composing indicator at the cursor
+   * @param {boolean} [options.touch=false] - Double-tap vowels for macrons on touch keyboards
+   * @param {number} [options.touchDelay=400] - Double tap window in milliseconds
+   * @param {boolean} [options.enableInputs=true] - Enable on input elements
+   * @param {boolean} [options.enableTextareas=true] - Enable on textarea elements
+   * @param {boolean} [options.enableContentEditable=true] - Enable on contentEditable
+   * @param {string[]} [options.methods=["deadkey", "modifier"]] - Typing methods to accept
+   * @param {boolean} [options.optIn=false] - Only handle fields marked with data-hawaiian
+   * @param {boolean} [options.frames=false] - Also cover same-origin iframes
+   * @param {string} [options.hotkey] - Key combination that turns Hawaiian input on and off, such as "Ctrl+Shift+H"
+   * @param {string} [options.convertHotkey] - Key combination that converts the selected text (see convertSelection())
+   * @param {string[]} [options.inputTypes=["text", "search", "tel"]] - Input types to handle
+   * @param {string} [options.ignoreSelector] - CSS selector for elements to skip
+   * @param {Function} [options.shouldHandle] - Overrides whether a field is handled
+   * @param {Object} [options.keymap] - Custom dead keys, escape key and chords
+   * @param {boolean} [options.debug=false] - Log warnings to console
+   * 
+   * @example
+   * // Basic usage
+   * HawaiianInput.install();
+   * 
+   * @example
+   * // With options
+   * HawaiianInput.install({
+   *   deadKeyStrict: true,
+   *   ignoreSelector: '.code-editor, #raw-input'
+   * });
+   */
+  function install(options) {
+    uninstall();
+    installedInstance = createInstance(document, options);
+  }
+
+  /**
+   * Removes Hawaiian input from the page.
+   * 
+   * Detaches the listeners added by install() and resets state. Call this
+   * if you need to completely disable Hawaiian input, such as when
+   * navigating away from a page in a single-page application. Instances
+   * created with attach() are not affected; call their detach() instead.
+   * 
+   * @example
+   * // Disable Hawaiian input
+   * HawaiianInput.uninstall();
+   */
+  function uninstall() {
+    if (installedInstance) {
+      installedInstance.detach();
+      installedInstance = null;
+    }
+  }
+
+  /**
+   * Turns the page-wide installation on or off without uninstalling it.
+   * While off, fields behave as if the library weren't there. Does
+   * nothing before install().
+   * 
+   * @param {boolean} value - True to turn Hawaiian input on
+   * @throws {TypeError} If value is not a boolean
+   * 
+   * @example
+   * // Off during the spelling section of a test
+   * HawaiianInput.setEnabled(false);
+   */
+  function setEnabled(value) {
+    if (typeof value !== "boolean") {
+      throw new TypeError("HawaiianInput.setEnabled() requires a boolean");
+    }
+    if (installedInstance) {
+      installedInstance.setEnabled(value);
+    }
+  }
+
+  /**
+   * Flips the page-wide installation on or off.
+   * 
+   * @returns {boolean} True if Hawaiian input is now on (false before install())
+   */
+  function toggle() {
+    return installedInstance ? installedInstance.toggle() : false;
+  }
+
+  /**
+   * Changes options of the page-wide installation without reinstalling.
+   * Options left out keep their current values. Does nothing before
+   * install().
+   * 
+   * @param {Object} options - Options to change (see install())
+   * @throws {TypeError} If options is not an object
+   * 
+   * @example
+   * HawaiianInput.updateOptions({ deadKeyStrict: true, indicator: true });
+   */
+  function updateOptions(options) {
+    if (typeof options !== "object" || options === null) {
+      throw new TypeError("HawaiianInput.updateOptions() requires an options object");
+    }
+    if (installedInstance) {
+      installedInstance.updateOptions(options);
+    }
+  }
+
+  /**
+   * Reads the state of the page-wide installation.
+   * 
+   * @returns {{enabled: boolean, config: Object, isComposing: boolean, armedKey: string|null, isArmed: boolean, isSuppressed: boolean}|null}
+   *   Current state, or null before install()
+   * 
+   * @example
+   * const { enabled, isArmed } = HawaiianInput.getState();
+   */
+  function getState() {
+    return installedInstance ? installedInstance.getState() : null;
+  }
+
+  /**
+   * Converts the selected text in a field handled by the page-wide
+   * installation. A single selected vowel gains or loses its macron
+   * (a ⇄ ā) and a single apostrophe becomes an ʻokina (and back); longer
+   * selections get every normalize() step, so `a becomes ā and ' inside
+   * Hawaiian words becomes ʻ. The converted text stays selected.
+   * 
+   * Bind it to a button or menu item, or set the convertHotkey option.
+   * 
+   * @param {HTMLElement} [element] - The field (default: the focused element)
+   * @returns {boolean} True if the selection was converted (false before install())
+   * @throws {TypeError} If element is given but is not a DOM element
+   * 
+   * @example
+   * fixButton.addEventListener('mousedown', (event) => event.preventDefault());
+   * fixButton.addEventListener('click', () => HawaiianInput.convertSelection());
+   */
+  function convertSelection(element) {
+    if (element !== undefined && (!element || element.nodeType !== 1)) {
+      throw new TypeError("HawaiianInput.convertSelection() requires a DOM element or no argument");
+    }
+    return installedInstance ? installedInstance.convertSelection(element) : false;
+  }
+
+  /**
+   * Enables Hawaiian input on a single element with its own configuration.
+   * 
+   * The element can be a field (input, textarea, contentEditable) or a
+   * container whose eligible descendants should be handled. The returned
+   * instance keeps its own dead key state, so a dead key armed in one
+   * attached field can never complete in another.
+   * 
+   * Attaching to an element that already has an instance replaces it.
+   * 
+   * @param {HTMLElement} element - Field or container to enable
+   * @param {Object} [options] - Configuration options (see install())
+   * @returns {{element: HTMLElement, detach: Function, setEnabled: Function, toggle: Function, updateOptions: Function, getState: Function, convertSelection: Function}}
+   *   The new instance, with the same runtime controls as HawaiianInput
+   * @throws {TypeError} If element is not a DOM element
+   * 
+   * @example
+   * // Strict answer box and relaxed notes field on the same page
+   * const answer = HawaiianInput.attach(answerBox, { deadKeyStrict: true });
+   * const notes = HawaiianInput.attach(notesField);
+   * 
+   * // Later, when the answer box is removed
+   * answer.detach();
+   */
+  function attach(element, options) {
+    if (!element || typeof element.addEventListener !== "function" || element.nodeType !== 1) {
+      throw new TypeError("HawaiianInput.attach() requires a DOM element");
+    }
+
+    for (const existing of instances) {
+      if (existing.element === element) {
+        existing.detach();
+      }
+    }
+
+    return createInstance(element, options);
+  }
+
+  /**
+   * Converts text to proper Hawaiian characters without any DOM.
+   * 
+   * Use it for text that did not come through a handled field: pasted or
+   * imported text, server data, or stored student responses in Node.
+   * The steps run in this order:
+   *   1. compose:  decomposed macrons (a + U+0304) → NFC (ā)
+   *   2. deadKeys: dead key sequences (`a → ā, \o → Ō, `' → ʻ)
+   *   3. okina:    ', ‘, ’ and ` inside Hawaiian words → ʻ
+   * 
+   * Look-alikes are only replaced where an ʻokina belongs, using the
+   * same rules as the autoOkina option, so contractions and quoted words
+   * are kept. Note that with deadKeys on, a backtick before a vowel is
+   * read as a dead key (Hawai`i → Hawaiī); turn deadKeys off for text
+   * that used backticks as ʻokina.
+   * 
+   * @param {string} text - Text to normalize
+   * @param {Object} [options] - Which steps to run
+   * @param {boolean} [options.compose=true] - Compose decomposed macrons
+   * @param {boolean} [options.deadKeys=true] - Convert dead key sequences
+   * @param {boolean} [options.okina=true] - Replace ʻokina look-alikes
+   * @param {Object} [options.keymap] - Custom keymap for dead key sequences
+   * @returns {string} Normalized text
+   * @throws {TypeError} If text is not a string
+   * 
+   * @example
+   * HawaiianInput.normalize("`olelo Hawai'i");  // "ōlelo Hawaiʻi"
+   * HawaiianInput.normalize("Hawai\u2019i", { deadKeys: false });  // "Hawaiʻi"
+   */
+  function normalize(text, options) {
+    if (typeof text !== "string") {
+      throw new TypeError("HawaiianInput.normalize() requires a string");
+    }
+
+    const settings = typeof options === "object" && options !== null ? options : {};
+    const keymap = settings.keymap === undefined ? DEFAULT_KEYMAP : validateKeymap(settings.keymap, DEFAULT_OPTIONS);
+    let result = text;
+
+    if (settings.compose !== false) {
+      result = result.normalize("NFC");
+    }
+
+    if (settings.deadKeys !== false) {
+      result = convertDeadKeys(result, keymap);
+    }
+
+    if (settings.okina !== false) {
+      result = convertOkinaLookalikes(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Finds characters in text that are probably not what the writer
+   * meant, so a form can warn before it is submitted:
+   *   - macron:  a vowel followed by a combining macron (a + U+0304),
+   *              which looks right but doesn't match ā in searches
+   *   - okina:   ', ‘, ’ or ` where an ʻokina belongs, using the same
+   *              rules as normalize()
+   * 
+   * Each issue has the index and length of the characters in the text
+   * (in UTF-16 code units, like String.prototype.slice) and the
+   * suggested replacement.
+   * 
+   * @param {string} text - Text to check
+   * @returns {Array<{type: string, index: number, length: number, text: string, suggestion: string}>}
+   *   The issues in order of appearance; empty if the text looks right
+   * @throws {TypeError} If text is not a string
+   * 
+   * @example
+   * HawaiianInput.validate("Hawai'i");
+   * // [{ type: "okina", index: 5, length: 1, text: "'", suggestion: "ʻ" }]
+   */
+  function validate(text) {
+    if (typeof text !== "string") {
+      throw new TypeError("HawaiianInput.validate() requires a string");
+    }
+
+    const issues = [];
+
+    for (const match of text.matchAll(DECOMPOSED_MACRONS)) {
+      issues.push({ type: "macron", index: match.index, length: match[0].length, text: match[0], suggestion: match[0].normalize("NFC") });
+    }
+
+    for (const index of findOkinaLookalikes(text)) {
+      issues.push({ type: "okina", index, length: 1, text: text.charAt(index), suggestion: OKINA });
+    }
+
+    return Object.freeze(issues.sort((a, b) => a.index - b.index).map((issue) => Object.freeze(issue)));
+  }
+
+  /**
+   * Strips kahakō, ʻokina and ʻokina look-alikes (', ’, ‘, `) from text,
+   * so searches match however a name was typed: fold("Hawaiʻi") and
+   * fold("Hawai'i") are both "Hawaii". Decomposed macrons are stripped
+   * too. Case is kept; lowercase both sides for case-insensitive matching.
+   * 
+   * @param {string} text - Text to fold
+   * @returns {string} The text without kahakō or ʻokina
+   * @throws {TypeError} If text is not a string
+   * 
+   * @example
+   * const query = HawaiianInput.fold(input.value).toLowerCase();
+   * const matches = roster.filter((name) => HawaiianInput.fold(name).toLowerCase().includes(query));
+   */
+  function fold(text) {
+    if (typeof text !== "string") {
+      throw new TypeError("HawaiianInput.fold() requires a string");
+    }
+    return stripMarks(text);
+  }
+
+  /**
+   * Compares two texts in Hawaiian alphabetical order, for sorting:
+   * a e i o u h k l m n p w ʻ. Apostrophes count as ʻokina, letters
+   * outside the Hawaiian alphabet sort after it, and spaces, digits and
+   * punctuation before it. A vowel with a kahakō sorts with the plain
+   * vowel; only when two texts are otherwise the same does the plain
+   * one come first (a before ā), then lowercase before uppercase.
+   * 
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} Negative if a sorts first, positive if b does, 0 if the texts are
+   *   equal (a decomposed macron counts as equal to the composed one)
+   * @throws {TypeError} If a or b is not a string
+   * 
+   * @example
+   * ["ʻulu", "hale", "ʻāina", "aloha", "wai"].sort(HawaiianInput.compare);
+   * // ["aloha", "hale", "wai", "ʻāina", "ʻulu"]
+   */
+  function compare(a, b) {
+    if (typeof a !== "string" || typeof b !== "string") {
+      throw new TypeError("HawaiianInput.compare() requires two strings");
+    }
+    return compareHawaiian(a, b);
+  }
+
+  /**
+   * Creates the typing state machine on its own, with no DOM.
+   * 
+   * It is the same state machine install() uses, for editors that manage
+   * their own text (canvas editors, terminals, Node tests). Feed it each
+   * typed character and carry out the actions it returns in order:
+   *   { type: "arm", key, suppressed }      a dead key is waiting; if
+   *                                         suppressed, don't show it
+   *   { type: "reset", key, reason }        the armed dead key was dropped
+   *   { type: "insert", text, deleteBefore, source, method }
+   *                                         delete deleteBefore characters
+   *                                         before the cursor, insert text
+   *   { type: "replace", distance, length, text, source, method }
+   *                                         replace length characters
+   *                                         starting distance characters
+   *                                         before the cursor
+   * 
+   * If a result is consumed, the typed character must not be inserted;
+   * otherwise insert it after carrying out the actions.
+   * 
+   * @param {Object} [options] - Configuration options (see install());
+   *   only the typing options are used
+   * @returns {{input: Function, key: Function, reset: Function, getState: Function, updateOptions: Function}}
+   * 
+   * @example
+   * const composer = HawaiianInput.createComposer({ deadKeyStrict: true });
+   * composer.input("`");   // { consumed: true, actions: [{ type: "arm", key: "`", suppressed: true }] }
+   * composer.input("a");   // { consumed: true, actions: [{ type: "insert", text: "ā", deleteBefore: 0, ... }, { type: "reset", ... }] }
+   */
+  function createComposer(options) {
+    const core = createComposerCore();
+    let currentOptions = typeof options === "object" && options !== null ? { ...options } : {};
+    let config = validateOptions(currentOptions);
+
+    return Object.freeze({
+      /**
+       * Handles a typed character.
+       * 
+       * @param {string} char - The character
+       * @param {Object} [context] - Needed for postfix sequences and autoOkina
+       * @param {string|Function} [context.before] - Text before the cursor,
+       *   or a function returning it
+       * @param {Function} [context.confirm] - Called with { source, output, method }
+       *   before each transformation; return false to type the character as is
+       * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+       * @throws {TypeError} If char is not a string
+       */
+      input(char, context) {
+        if (typeof char !== "string") {
+          throw new TypeError("input() requires a string");
+        }
+        return core.input(config, char, context);
+      },
+
+      /**
+       * Handles a keystroke, for modifier chords.
+       * 
+       * @param {{key: string, ctrlKey?: boolean, altKey?: boolean, metaKey?: boolean}} event - A KeyboardEvent or the same fields
+       * @param {Object} [context] - As for input(); only confirm is used
+       * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+       * @throws {TypeError} If event has no key
+       */
+      key(event, context) {
+        if (!event || typeof event.key !== "string") {
+          throw new TypeError("key() requires an event with a key");
+        }
+        return core.key(config, event, context);
+      },
+
+      /**
+       * Returns to idle, for example when the cursor moves or text is deleted.
+       * 
+       * @param {string} [reason="manual"] - Reported in the reset action
+       * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+       */
+      reset(reason) {
+        return core.reset(typeof reason === "string" ? reason : "manual");
+      },
+
+      /**
+       * Reads the state machine.
+       * @returns {{armedKey: string|null, isArmed: boolean, isSuppressed: boolean}}
+       */
+      getState() {
+        return core.getState();
+      },
+
+      /**
+       * Changes options. Options left out keep their current values.
+       * Any armed dead key is dropped.
+       * 
+       * @param {Object} partial - Options to change
+       * @returns {{consumed: boolean, actions: ReadonlyArray<Object>}}
+       * @throws {TypeError} If partial is not an object
+       */
+      updateOptions(partial) {
+        if (typeof partial !== "object" || partial === null) {
+          throw new TypeError("updateOptions() requires an options object");
+        }
+        currentOptions = { ...currentOptions, ...partial };
+        config = validateOptions(currentOptions);
+        return core.reset("options");
+      }
+    });
+  }
+
+  /**
+   * Creates an on-screen palette of Hawaiian characters.
+   * 
+   * Each button inserts its character into the last focused eligible
+   * field, at that field's cursor. Pressing a button with the mouse or a
+   * finger does not move focus or the selection out of the field. The
+   * palette is a toolbar: Tab reaches it, and the arrow keys, Home and
+   * End move between buttons.
+   * 
+   * Fields are chosen with the same rules as install(), including
+   * ignoreSelector. The palette works whether or not install() is used.
+   * 
+   * @param {Object} [options] - Palette options, plus any install() filtering options
+   * @param {HTMLElement} [options.container=document.body] - Element to add the palette to
+   * @param {string[]} [options.characters] - Characters to show (default ā ē ī ō ū Ā Ē Ī Ō Ū ʻ)
+   * @param {string} [options.label="Hawaiian characters"] - Accessible name of the toolbar
+   * @returns {{element: HTMLElement, destroy: Function}} The palette
+   * 
+   * @example
+   * HawaiianInput.palette({ container: document.querySelector('#toolbar') });
+   */
+  function palette(options) {
+    const settings = typeof options === "object" && options !== null ? options : {};
+    const config = validateOptions(settings);
+    const container = settings.container || document.body;
+    const doc = container.ownerDocument;
+    const characters = Array.isArray(settings.characters)
+      ? settings.characters.filter((char) => typeof char === "string" && char.length > 0)
+      : PALETTE_CHARACTERS;
+
+    /**
+     * The last focused eligible field, and its contentEditable selection
+     * saved when focus left it (form fields keep their own selection).
+     */
+    let field = null;
+    let savedRange = null;
+
+    ensurePaletteStyles(doc);
+
+    const toolbar = doc.createElement("div");
+    toolbar.className = "hawaiian-input-palette";
+    toolbar.setAttribute("role", "toolbar");
+    toolbar.setAttribute("aria-label", typeof settings.label === "string" ? settings.label : "Hawaiian characters");
+
+    const buttons = characters.map((char, index) => {
+      const button = doc.createElement("button");
+      button.type = "button";
+      button.textContent = char;
+      button.value = char;
+      button.tabIndex = index === 0 ? 0 : -1;
+      button.setAttribute("aria-label", describeCharacter(char));
+      toolbar.appendChild(button);
+      return button;
+    });
+
+    /**
+     * Inserts a character into the remembered field.
+     * @param {string} char - Character to insert
+     */
+    function insert(char) {
+      if (!field || !field.isConnected || !shouldHandleElement(field, config)) {
+        return;
+      }
+
+      // Put the saved cursor back if focus moved to the palette
+      const selection = getSelectionFor(field);
+      if (field.isContentEditable && savedRange && !field.contains(selection.anchorNode)) {
+        selection.removeAllRanges();
+        selection.addRange(savedRange);
+      }
+
+      if (emit(field, "hawaiian:transform", { source: "", output: char, method: "palette", element: field }, true)) {
+        insertText(field, char, 0);
+      }
+
+      if (field.isContentEditable && selection.rangeCount > 0) {
+        savedRange = selection.getRangeAt(0).cloneRange();
+      }
+    }
+
+    function handleFocusIn(event) {
+      const target = getEventTarget(event);
+      if (!toolbar.contains(target) && shouldHandleElement(target, config)) {
+        field = target;
+        savedRange = null;
+      }
+    }
+
+    function handleFocusOut(event) {
+      if (getEventTarget(event) === field && field.isContentEditable) {
+        const selection = getSelectionFor(field);
+        if (selection.rangeCount > 0 && field.contains(selection.anchorNode)) {
+          savedRange = selection.getRangeAt(0).cloneRange();
+        }
+      }
+    }
+
+    // Keep focus and selection in the field when a button is pressed
+    function handlePointerDown(event) {
+      if (event.target.closest("button")) {
+        event.preventDefault();
+      }
+    }
+
+    function handleClick(event) {
+      const button = event.target.closest("button");
+      if (button && toolbar.contains(button)) {
+        insert(button.value);
+      }
+    }
+
+    // Roving focus between buttons (toolbar keyboard pattern)
+    function handleKeyDown(event) {
+      const current = buttons.indexOf(event.target);
+      if (current === -1) {
+        return;
+      }
+
+      const moves = {
+        ArrowRight: current + 1,
+        ArrowDown: current + 1,
+        ArrowLeft: current - 1,
+        ArrowUp: current - 1,
+        Home: 0,
+        End: buttons.length - 1
+      };
+      if (!hasOwn(moves, event.key)) {
+        return;
+      }
+
+      event.preventDefault();
+      const next = buttons[(moves[event.key] + buttons.length) % buttons.length];
+      for (const button of buttons) {
+        button.tabIndex = button === next ? 0 : -1;
+      }
+      next.focus();
+    }
+
+    toolbar.addEventListener("pointerdown", handlePointerDown);
+    toolbar.addEventListener("mousedown", handlePointerDown);
+    toolbar.addEventListener("click", handleClick);
+    toolbar.addEventListener("keydown", handleKeyDown);
+    doc.addEventListener("focusin", handleFocusIn, true);
+    doc.addEventListener("focusout", handleFocusOut, true);
+
+    if (shouldHandleElement(doc.activeElement, config)) {
+      field = doc.activeElement;
+    }
+
+    container.appendChild(toolbar);
+
+    return Object.freeze({
+      element: toolbar,
+
+      /** Removes the palette and its listeners. */
+      destroy() {
+        doc.removeEventListener("focusin", handleFocusIn, true);
+        doc.removeEventListener("focusout", handleFocusOut, true);
+        toolbar.remove();
+        field = null;
+        savedRange = null;
+      }
+    });
   }
 
   /**
@@ -857,6 +5173,19 @@
   return Object.freeze({
     install,
     uninstall,
+    setEnabled,
+    toggle,
+    updateOptions,
+    getState,
+    convertSelection,
+    attach,
+    normalize,
+    validate,
+    fold,
+    compare,
+    createComposer,
+    palette,
+    defaultKeymap: DEFAULT_KEYMAP,
     version
   });
 });
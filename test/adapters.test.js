@@ -0,0 +1,366 @@
+"use strict";
+
+const { describe, it, before, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document } = require("./dom.js");
+const HawaiianInputAdapters = require("../hawaiian-input-adapters.js");
+
+// The editors measure text and read more DOM classes as globals; jsdom has no layout
+for (const name of ["Window", "Text", "Element", "HTMLElement", "DocumentFragment", "DOMParser"]) {
+  global[name] = window[name];
+}
+global.getSelection = () => window.getSelection();
+global.requestAnimationFrame = (callback) => window.requestAnimationFrame(callback);
+window.Range.prototype.getClientRects = () => [];
+window.Range.prototype.getBoundingClientRect = () => ({ top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0 });
+
+/**
+ * Presses a key on an editor's element.
+ * 
+ * @param {HTMLElement} element - The editor's editable element
+ * @param {string} key - The KeyboardEvent key value
+ * @param {Object} [modifiers] - ctrlKey, altKey and the like
+ * @returns {boolean} False if the keydown was canceled
+ */
+function press(element, key, modifiers = {}) {
+  return element.dispatchEvent(new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...modifiers }));
+}
+
+describe("CodeMirror adapter", () => {
+  const { EditorView } = require("@codemirror/view");
+  const { EditorState } = require("@codemirror/state");
+  let view;
+  let transactions;
+
+  /**
+   * Creates an editor with the adapter.
+   * 
+   * @param {Object} [options] - Adapter options
+   */
+  function create(options) {
+    transactions = [];
+    const extensions = [
+      HawaiianInputAdapters.codemirror({ EditorView }, options),
+      EditorView.updateListener.of((update) => transactions.push(...update.transactions))
+    ];
+    view = new EditorView({ state: EditorState.create({ extensions }), parent: document.body });
+  }
+
+  /**
+   * Types text at the cursor the way CodeMirror does: each character
+   * goes to the input handlers, and is inserted if none takes it.
+   * 
+   * @param {string} text - The characters to type
+   */
+  function type(text) {
+    for (const char of text) {
+      const { from, to } = view.state.selection.main;
+      const insert = () => view.state.update({ changes: { from, to, insert: char }, selection: { anchor: from + 1 } });
+      if (!view.state.facet(EditorView.inputHandler).some((handler) => handler(view, from, to, char, insert))) {
+        view.dispatch(insert());
+      }
+    }
+  }
+
+  afterEach(() => {
+    view.destroy();
+  });
+
+  it("turns a dead key sequence into one typing transaction", () => {
+    create();
+    type("k`a");
+    assert.equal(view.state.doc.toString(), "kā");
+    assert.equal(view.state.selection.main.head, 2);
+    const last = transactions[transactions.length - 1];
+    assert.ok(last.isUserEvent("input.type"));
+    assert.deepEqual(last.changes.toJSON(), [1, [1, "ā"]]);
+  });
+
+  it("follows the typing options", () => {
+    create({ deadKeyStrict: true, autoOkina: true });
+    type("`aloha Hawai'i");
+    assert.equal(view.state.doc.toString(), "āloha Hawaiʻi");
+  });
+
+  it("maps modifier chords", () => {
+    create();
+    assert.equal(press(view.contentDOM, "o", { ctrlKey: true }), false);
+    assert.equal(view.state.doc.toString(), "ō");
+  });
+
+  it("falls back to the default modifiers for an invalid keymap", () => {
+    create({ keymap: { modifiers: "ctrl" } });
+    press(view.contentDOM, "a", { altKey: true });
+    assert.equal(view.state.doc.toString(), "ā");
+  });
+
+  it("lets typing through when hawaiian:transform is canceled", () => {
+    create();
+    const cancel = (event) => event.preventDefault();
+    view.contentDOM.addEventListener("hawaiian:transform", cancel);
+    type("`a");
+    assert.equal(view.state.doc.toString(), "`a");
+  });
+
+  it("marks the editor for install() to skip", () => {
+    create();
+    assert.ok(view.contentDOM.hasAttribute("data-no-hawaiian"));
+  });
+});
+
+describe("ProseMirror adapter", () => {
+  const { EditorState, Plugin } = require("prosemirror-state");
+  const { EditorView } = require("prosemirror-view");
+  const { schema } = require("prosemirror-schema-basic");
+  let view;
+
+  /**
+   * Types text at the cursor the way ProseMirror does: each character
+   * goes to handleTextInput, and is inserted if no plugin takes it.
+   * 
+   * @param {string} text - The characters to type
+   */
+  function type(text) {
+    for (const char of text) {
+      const { from, to } = view.state.selection;
+      if (!view.someProp("handleTextInput", (handle) => handle(view, from, to, char))) {
+        view.dispatch(view.state.tr.insertText(char, from, to));
+      }
+    }
+  }
+
+  beforeEach(() => {
+    const plugins = [HawaiianInputAdapters.prosemirror({ Plugin })];
+    view = new EditorView(document.body, { state: EditorState.create({ schema, plugins }) });
+  });
+
+  afterEach(() => {
+    view.destroy();
+  });
+
+  it("turns a dead key sequence into the character", () => {
+    type("k`ane");
+    assert.equal(view.state.doc.textContent, "kāne");
+  });
+
+  it("keeps the marks of the text being typed", () => {
+    view.dispatch(view.state.tr.addStoredMark(schema.marks.strong.create()));
+    type("`a");
+    const paragraph = view.state.doc.firstChild;
+    assert.equal(paragraph.childCount, 1);
+    assert.equal(paragraph.firstChild.text, "ā");
+    assert.ok(schema.marks.strong.isInSet(paragraph.firstChild.marks));
+  });
+
+  it("doesn't pair a dead key with a character in the next paragraph", () => {
+    type("`");
+    view.dispatch(view.state.tr.split(view.state.selection.from));
+    type("a");
+    assert.deepEqual(view.state.doc.content.content.map((node) => node.textContent), ["`", "a"]);
+  });
+
+  it("maps modifier chords", () => {
+    assert.equal(press(view.dom, "e", { altKey: true }), false);
+    assert.equal(view.state.doc.textContent, "ē");
+  });
+
+  it("wraps the plugin in a Tiptap extension", () => {
+    const Extension = { create: (config) => config };
+    const extension = HawaiianInputAdapters.tiptap({ Extension, Plugin });
+    const [plugin] = extension.addProseMirrorPlugins();
+    assert.equal(extension.name, "hawaiianInput");
+    assert.ok(plugin instanceof Plugin);
+  });
+});
+
+describe("Quill adapter", () => {
+  let Quill;
+  let editor;
+  let handle;
+
+  /**
+   * Types text at the end of the document, as the user.
+   * 
+   * @param {string} text - The characters to type
+   * @param {Object} [formats] - Formats of the typed text
+   */
+  function type(text, formats = {}) {
+    for (const char of text) {
+      editor.insertText(editor.getLength() - 1, char, formats, "user");
+    }
+  }
+
+  before(async () => {
+    ({ default: Quill } = await import("quill"));
+  });
+
+  beforeEach(() => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    editor = new Quill(container);
+    handle = HawaiianInputAdapters.quill(editor);
+  });
+
+  afterEach(() => {
+    handle.detach();
+    editor.container.remove();
+  });
+
+  it("turns a dead key sequence into the character", () => {
+    type("k`ane");
+    assert.equal(editor.getText(), "kāne\n");
+  });
+
+  it("keeps the formatting of the typed character", () => {
+    type("k");
+    type("`a", { bold: true });
+    assert.deepEqual(editor.getContents().ops, [
+      { insert: "k" },
+      { insert: "ā", attributes: { bold: true } },
+      { insert: "\n" }
+    ]);
+  });
+
+  it("maps modifier chords at the selection", () => {
+    type("kne");
+    editor.setSelection(1, 0, "silent");
+    assert.equal(press(editor.root, "a", { ctrlKey: true }), false);
+    assert.equal(editor.getText(), "kāne\n");
+  });
+
+  it("stops once detached", () => {
+    handle.detach();
+    type("`a");
+    assert.equal(editor.getText(), "`a\n");
+    assert.ok(!editor.root.hasAttribute("data-no-hawaiian"));
+  });
+});
+
+describe("Monaco adapter", () => {
+  /**
+   * Stands in for a Monaco code editor, which doesn't run outside a
+   * browser: a single-cursor text model with the events and methods the
+   * adapter uses.
+   * 
+   * @returns {Object} The editor, plus type() and press() for the tests
+   */
+  function createEditor() {
+    const listeners = { change: new Set(), key: new Set(), blur: new Set() };
+    const subscribe = (set) => (listener) => {
+      set.add(listener);
+      return { dispose: () => set.delete(listener) };
+    };
+    const domNode = document.createElement("div");
+    domNode.appendChild(document.createElement("textarea"));
+
+    let value = "";
+    let version = 1;
+    let cursor = 0;
+
+    const model = {
+      getVersionId: () => version,
+      getPositionAt(offset) {
+        const lines = value.slice(0, offset).split("\n");
+        return { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+      },
+      getOffsetAt({ lineNumber, column }) {
+        const lines = value.split("\n").slice(0, lineNumber - 1);
+        return lines.reduce((offset, line) => offset + line.length + 1, 0) + column - 1;
+      },
+      getValueInRange(range) {
+        return value.slice(
+          model.getOffsetAt({ lineNumber: range.startLineNumber, column: range.startColumn }),
+          model.getOffsetAt({ lineNumber: range.endLineNumber, column: range.endColumn })
+        );
+      }
+    };
+
+    function edit(offset, length, text, flags = {}) {
+      value = value.slice(0, offset) + text + value.slice(offset + length);
+      cursor = offset + text.length;
+      version += 1;
+      const event = { changes: [{ text, rangeOffset: offset, rangeLength: length }], isUndoing: false, isRedoing: false, isFlush: false, ...flags };
+      for (const listener of listeners.change) {
+        listener(event);
+      }
+    }
+
+    const editor = {
+      getModel: () => model,
+      getDomNode: () => domNode,
+      onDidChangeModelContent: subscribe(listeners.change),
+      onKeyDown: subscribe(listeners.key),
+      onDidBlurEditorText: subscribe(listeners.blur),
+      getSelections() {
+        const position = model.getPositionAt(cursor);
+        return [{ startLineNumber: position.lineNumber, startColumn: position.column, endLineNumber: position.lineNumber, endColumn: position.column }];
+      },
+      executeEdits(source, edits) {
+        const offsets = edits.map(({ range, text }) => {
+          const start = model.getOffsetAt({ lineNumber: range.startLineNumber, column: range.startColumn });
+          const end = model.getOffsetAt({ lineNumber: range.endLineNumber, column: range.endColumn });
+          return { start, end, text };
+        });
+        for (const { start, end, text } of offsets.sort((a, b) => b.start - a.start)) {
+          edit(start, end - start, text);
+        }
+        return true;
+      },
+
+      get value() {
+        return value;
+      },
+      async type(text) {
+        for (const char of text) {
+          edit(cursor, 0, char);
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      },
+      undo(offset, length, text) {
+        edit(offset, length, text, { isUndoing: true });
+      },
+      press(key, modifiers = {}) {
+        let canceled = false;
+        const browserEvent = new window.KeyboardEvent("keydown", { key, ...modifiers });
+        const event = { browserEvent, preventDefault: () => (canceled = true), stopPropagation() {} };
+        for (const listener of listeners.key) {
+          listener(event);
+        }
+        return !canceled;
+      }
+    };
+    return editor;
+  }
+
+  it("replaces a dead key sequence just after the change", async () => {
+    const editor = createEditor();
+    HawaiianInputAdapters.monaco(editor);
+    await editor.type("k`ane\nHawai`'i");
+    assert.equal(editor.value, "kāne\nHawaiʻi");
+  });
+
+  it("leaves undo and redo alone", async () => {
+    const editor = createEditor();
+    HawaiianInputAdapters.monaco(editor);
+    await editor.type("`");
+    editor.undo(0, 1, "");
+    editor.undo(0, 0, "`");
+    await editor.type("a");
+    assert.equal(editor.value, "`a");
+  });
+
+  it("maps modifier chords at every cursor", () => {
+    const editor = createEditor();
+    HawaiianInputAdapters.monaco(editor);
+    assert.equal(editor.press("u", { ctrlKey: true }), false);
+    assert.equal(editor.value, "ū");
+  });
+
+  it("stops once detached", async () => {
+    const editor = createEditor();
+    HawaiianInputAdapters.monaco(editor).detach();
+    await editor.type("`a");
+    assert.equal(editor.value, "`a");
+    assert.ok(!editor.getDomNode().querySelector("textarea").hasAttribute("data-no-hawaiian"));
+  });
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput, type, press } = require("./dom.js");
+
+describe("autoOkina", () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    first = document.createElement("input");
+    second = document.createElement("textarea");
+    document.body.append(first, second);
+    first.focus();
+    HawaiianInput.install({ autoOkina: true });
+  });
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    first.remove();
+    second.remove();
+  });
+
+  it("turns an apostrophe inside a Hawaiian word into an ʻokina", () => {
+    type(first, "Hawai'i");
+    assert.equal(first.value, "Hawaiʻi");
+  });
+
+  it("leaves English contractions alone", () => {
+    type(first, "don't ");
+    assert.equal(first.value, "don't ");
+  });
+
+  it("puts the apostrophe back on Ctrl+Z right after the correction", () => {
+    type(first, "Hawai'i");
+    assert.equal(press(first, "z", { ctrlKey: true }), false, "the browser's undo is canceled");
+    assert.equal(first.value, "Hawai'i");
+  });
+
+  it("puts the apostrophe back on undo from the Edit menu", () => {
+    type(first, "Hawai'i");
+    const undo = new window.InputEvent("beforeinput", { inputType: "historyUndo", bubbles: true, cancelable: true });
+    assert.equal(first.dispatchEvent(undo), false);
+    assert.equal(first.value, "Hawai'i");
+  });
+
+  it("fixes an apostrophe at the start of a word, and can undo it", () => {
+    type(first, "'ōlelo ");
+    assert.equal(first.value, "ʻōlelo ");
+    press(first, "z", { metaKey: true });
+    assert.equal(first.value, "'ōlelo ");
+  });
+
+  it("leaves undo to the browser once typing goes on", () => {
+    type(first, "Hawai'i nei");
+    assert.equal(press(first, "z", { ctrlKey: true }), true);
+    assert.equal(first.value, "Hawaiʻi nei");
+  });
+
+  it("keeps each field's correction to that field", () => {
+    type(first, "Hawai'i");
+    second.focus();
+    type(second, "aloha");
+    assert.equal(press(second, "z", { ctrlKey: true }), true);
+    assert.equal(first.value, "Hawaiʻi");
+    assert.equal(second.value, "aloha");
+  });
+
+  it("announces the correction with method autookina", () => {
+    const methods = [];
+    const record = (event) => methods.push(event.detail.method);
+    document.addEventListener("hawaiian:transform", record);
+    try {
+      type(first, "Hawai'i");
+    } finally {
+      document.removeEventListener("hawaiian:transform", record);
+    }
+    assert.deepEqual(methods, ["autookina"]);
+  });
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { document, type } = require("./dom.js");
+const React = require("react");
+const { createRoot } = require("react-dom/client");
+const HawaiianInputBindings = require("../hawaiian-input-bindings.js");
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { useHawaiianInput } = HawaiianInputBindings.react(React);
+
+describe("React binding", () => {
+  let container;
+  let root;
+
+  afterEach(() => {
+    React.act(() => root.unmount());
+    container.remove();
+  });
+
+  /**
+   * Renders a controlled input using the hook, in StrictMode.
+   * 
+   * @param {Function} getOptions - Called on every render for the options
+   * @returns {{field: HTMLInputElement, rerender: Function}}
+   */
+  function render(getOptions) {
+    let setTick = null;
+    function Field() {
+      const [value, setValue] = React.useState("");
+      setTick = React.useState(0)[1];
+      const ref = useHawaiianInput(getOptions());
+      return React.createElement("input", { ref, value, onChange: (event) => setValue(event.target.value) });
+    }
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+    React.act(() => root.render(React.createElement(React.StrictMode, null, React.createElement(Field))));
+
+    return {
+      field: container.querySelector("input"),
+      rerender: () => React.act(() => setTick((tick) => tick + 1))
+    };
+  }
+
+  it("keeps an armed dead key across renders with inline options", () => {
+    const { field } = render(() => ({
+      keymap: { escapeKey: "." },
+      inputTypes: ["text"],
+      normalizePaste: { deadKeys: false },
+      shouldHandle: () => true
+    }));
+
+    for (const char of "`a`o") {
+      React.act(() => type(field, char));
+    }
+    assert.equal(field.value, "āō");
+  });
+
+  it("applies changed options to the mounted element", () => {
+    let strict = false;
+    const { field, rerender } = render(() => ({ deadKeyStrict: strict }));
+
+    React.act(() => type(field, "`a"));
+    assert.equal(field.value, "ā");
+
+    strict = true;
+    rerender();
+    React.act(() => type(field, "`"));
+    assert.equal(field.value, "ā", "the dead key is held back");
+  });
+
+  it("calls the latest shouldHandle function", () => {
+    let handled = true;
+    const { field, rerender } = render(() => {
+      const answer = handled;
+      return { shouldHandle: () => answer };
+    });
+
+    handled = false;
+    rerender();
+    React.act(() => type(field, "`a"));
+    assert.equal(field.value, "`a");
+  });
+});
+
+describe("Svelte action", () => {
+  it("updates the instance in place and only when options change", () => {
+    const field = document.createElement("input");
+    document.body.appendChild(field);
+    const action = HawaiianInputBindings.svelte(field, { deadKeyStrict: true, keymap: { escapeKey: "." } });
+
+    type(field, "`");
+    action.update({ deadKeyStrict: true, keymap: { escapeKey: "." } });
+    type(field, "a");
+    assert.equal(field.value, "ā", "equal options keep the dead key armed");
+
+    action.update({ deadKeyStrict: false, keymap: { escapeKey: "." } });
+    type(field, "`");
+    assert.equal(field.value, "ā`");
+
+    action.update({});
+    type(field, "` ");
+    assert.equal(field.value, "ā``", "removed options go back to their defaults");
+
+    action.destroy();
+    field.remove();
+  });
+});
@@ -0,0 +1,244 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const HawaiianInput = require("../hawaiian-input.js");
+
+/**
+ * Types text through a composer into a plain string, carrying out the
+ * actions the way a host would, with the cursor at the end.
+ * 
+ * @param {Object} composer - From HawaiianInput.createComposer()
+ * @param {string} text - Characters to type
+ * @param {string} [value=""] - Text already in the field
+ * @returns {string} The field's value
+ */
+function type(composer, text, value = "") {
+  for (const char of text) {
+    const result = composer.input(char, { before: value });
+    value = apply(value, result.actions);
+    if (!result.consumed) {
+      value += char;
+    }
+  }
+  return value;
+}
+
+/**
+ * Carries out insert and replace actions on a string.
+ * 
+ * @param {string} value - Text before the cursor
+ * @param {ReadonlyArray<Object>} actions - Composer actions
+ * @returns {string} The new text
+ */
+function apply(value, actions) {
+  for (const action of actions) {
+    if (action.type === "insert") {
+      value = value.slice(0, value.length - action.deleteBefore) + action.text;
+    } else if (action.type === "replace") {
+      const start = value.length - action.distance;
+      value = value.slice(0, start) + action.text + value.slice(start + action.length);
+    }
+  }
+  return value;
+}
+
+describe("createComposer", () => {
+  describe("prefix dead keys", () => {
+    it("turns a dead key and a vowel into a vowel with a kahakō", () => {
+      assert.equal(type(HawaiianInput.createComposer(), "k`ane"), "kāne");
+    });
+
+    it("makes the upper case dead key produce capitals", () => {
+      assert.equal(type(HawaiianInput.createComposer(), "\\o\\A"), "ŌĀ");
+    });
+
+    it("produces an ʻokina from a dead key and an apostrophe", () => {
+      assert.equal(type(HawaiianInput.createComposer(), "Hawai`'i"), "Hawaiʻi");
+    });
+
+    it("arms visibly and replaces the dead key on completion", () => {
+      const composer = HawaiianInput.createComposer();
+
+      const armed = composer.input("`", { before: "" });
+      assert.equal(armed.consumed, false);
+      assert.deepEqual(armed.actions, [{ type: "arm", key: "`", suppressed: false }]);
+      assert.equal(composer.getState().isArmed, true);
+
+      const done = composer.input("o", { before: "`" });
+      assert.equal(done.consumed, true);
+      assert.equal(done.actions[0].text, "ō");
+      assert.equal(done.actions[0].deleteBefore, 1);
+      assert.equal(done.actions[0].method, "deadkey");
+      assert.deepEqual(done.actions[1], { type: "reset", key: "`", reason: "transform" });
+      assert.equal(composer.getState().isArmed, false);
+    });
+
+    it("abandons the dead key before a character it doesn't modify", () => {
+      const composer = HawaiianInput.createComposer();
+      assert.equal(type(composer, "`x`a"), "`xā");
+    });
+
+    it("abandons a visible dead key the cursor has moved away from", () => {
+      const composer = HawaiianInput.createComposer();
+      composer.input("`", { before: "" });
+      const result = composer.input("a", { before: "hale" });
+      assert.equal(result.consumed, false);
+      assert.deepEqual(result.actions, [{ type: "reset", key: "`", reason: "abandon" }]);
+    });
+
+    it("types the character as is when confirm returns false", () => {
+      const composer = HawaiianInput.createComposer();
+      const seen = [];
+      composer.input("`", { before: "" });
+      const result = composer.input("a", {
+        before: "`",
+        confirm: (detail) => {
+          seen.push(detail);
+          return false;
+        }
+      });
+      assert.deepEqual(seen, [{ source: "`a", output: "ā", method: "deadkey" }]);
+      assert.equal(result.consumed, false);
+      assert.equal(result.actions[0].reason, "abandon");
+    });
+  });
+
+  describe("deadKeyStrict", () => {
+    it("keeps the dead key out of the text", () => {
+      const composer = HawaiianInput.createComposer({ deadKeyStrict: true });
+
+      const armed = composer.input("`");
+      assert.equal(armed.consumed, true);
+      assert.deepEqual(armed.actions, [{ type: "arm", key: "`", suppressed: true }]);
+
+      const done = composer.input("a");
+      assert.equal(done.actions[0].text, "ā");
+      assert.equal(done.actions[0].deleteBefore, 0);
+    });
+
+    it("puts back both characters when the sequence is abandoned", () => {
+      assert.equal(type(HawaiianInput.createComposer({ deadKeyStrict: true }), "`x"), "`x");
+    });
+  });
+
+  describe("escape key", () => {
+    it("types the dead key itself after dead key and space", () => {
+      const composer = HawaiianInput.createComposer();
+      assert.equal(type(composer, "` a"), "`a");
+      assert.equal(composer.getState().isArmed, false);
+    });
+
+    it("works in strict mode", () => {
+      assert.equal(type(HawaiianInput.createComposer({ deadKeyStrict: true }), "` "), "`");
+    });
+
+    it("follows a custom escape key", () => {
+      const composer = HawaiianInput.createComposer({ keymap: { escapeKey: "." } });
+      assert.equal(type(composer, "`. ` a"), "` ` a");
+    });
+  });
+
+  describe("postfix mode", () => {
+    it("turns a vowel and a marker into a vowel with a kahakō", () => {
+      assert.equal(type(HawaiianInput.createComposer({ mode: "postfix" }), "ka-ne"), "kāne");
+    });
+
+    it("undoes the transformation when the marker is typed again", () => {
+      const composer = HawaiianInput.createComposer({ mode: "postfix" });
+      assert.equal(type(composer, "a--"), "a-");
+    });
+
+    it("only undoes right after the transformation", () => {
+      const composer = HawaiianInput.createComposer({ mode: "postfix" });
+      assert.equal(type(composer, "a-x-"), "āx-");
+    });
+
+    it("leaves dead keys alone", () => {
+      assert.equal(type(HawaiianInput.createComposer({ mode: "postfix" }), "`a"), "`a");
+    });
+
+    it("runs alongside dead keys in both mode", () => {
+      assert.equal(type(HawaiianInput.createComposer({ mode: "both" }), "`ae-"), "āē");
+    });
+  });
+
+  describe("modifier chords", () => {
+    it("maps a key pressed with Ctrl or Alt", () => {
+      const composer = HawaiianInput.createComposer();
+      for (const modifier of ["ctrlKey", "altKey"]) {
+        const result = composer.key({ key: "e", [modifier]: true });
+        assert.equal(result.consumed, true);
+        assert.deepEqual(result.actions, [
+          { type: "insert", text: "ē", deleteBefore: 0, source: "e", method: "modifier" }
+        ]);
+      }
+    });
+
+    it("ignores keys without a modifier, or with one outside the keymap", () => {
+      const composer = HawaiianInput.createComposer();
+      assert.equal(composer.key({ key: "a" }).consumed, false);
+      assert.equal(composer.key({ key: "a", metaKey: true }).consumed, false);
+      assert.equal(composer.key({ key: "x", ctrlKey: true }).consumed, false);
+    });
+
+    it("follows the methods option", () => {
+      const composer = HawaiianInput.createComposer({ methods: ["deadkey"] });
+      assert.equal(composer.key({ key: "a", ctrlKey: true }).consumed, false);
+      assert.equal(type(composer, "`a"), "ā");
+    });
+
+    it("falls back to the default modifiers for an invalid keymap", () => {
+      const composer = HawaiianInput.createComposer({ keymap: { modifiers: "ctrl" } });
+      assert.equal(composer.key({ key: "a", ctrlKey: true }).actions[0].text, "ā");
+    });
+  });
+
+  describe("autoOkina", () => {
+    it("turns an apostrophe between vowels into an ʻokina", () => {
+      const composer = HawaiianInput.createComposer({ autoOkina: true });
+      const result = composer.input("i", { before: "Hawai'" });
+      assert.equal(result.consumed, true);
+      assert.deepEqual(result.actions, [
+        { type: "insert", text: "ʻi", deleteBefore: 1, source: "'i", method: "autookina" }
+      ]);
+    });
+
+    it("fixes an apostrophe at the start of a word when the word ends", () => {
+      const composer = HawaiianInput.createComposer({ autoOkina: true });
+      assert.equal(type(composer, "'ōlelo "), "ʻōlelo ");
+    });
+
+    it("leaves English contractions and quotes alone", () => {
+      const composer = HawaiianInput.createComposer({ autoOkina: true });
+      assert.equal(type(composer, "don't 'quote' "), "don't 'quote' ");
+    });
+
+    it("is off by default", () => {
+      assert.equal(type(HawaiianInput.createComposer(), "Hawai'i"), "Hawai'i");
+    });
+  });
+
+  describe("reset and updateOptions", () => {
+    it("drops an armed dead key with the given reason", () => {
+      const composer = HawaiianInput.createComposer();
+      composer.input("`", { before: "" });
+      assert.deepEqual(composer.reset("delete").actions, [{ type: "reset", key: "`", reason: "delete" }]);
+      assert.deepEqual(composer.reset().actions, []);
+    });
+
+    it("keeps options left out of updateOptions", () => {
+      const composer = HawaiianInput.createComposer({ deadKeyStrict: true });
+      composer.input("`");
+      assert.equal(composer.updateOptions({ autoOkina: true }).actions[0].reason, "options");
+      assert.equal(composer.input("`").consumed, true);
+    });
+
+    it("throws on misuse", () => {
+      const composer = HawaiianInput.createComposer();
+      assert.throws(() => composer.input(1), TypeError);
+      assert.throws(() => composer.key({}), TypeError);
+      assert.throws(() => composer.updateOptions(null), TypeError);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput } = require("./dom.js");
+
+/**
+ * Types text into a contentEditable element the way a browser does: a
+ * cancelable beforeinput for each character, then, unless canceled, the
+ * character at the cursor and an input event. jsdom has no
+ * execCommand, so the library falls back to the Range API.
+ * 
+ * @param {HTMLElement} host - The editing host
+ * @param {string} text - The characters to type
+ */
+function type(host, text) {
+  const selection = window.getSelection();
+  for (const char of text) {
+    const init = { data: char, inputType: "insertText", bubbles: true, composed: true };
+    if (host.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }))) {
+      const range = selection.getRangeAt(0);
+      const node = document.createTextNode(char);
+      range.deleteContents();
+      range.insertNode(node);
+      range.setStartAfter(node);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      host.normalize();
+      host.dispatchEvent(new window.InputEvent("input", init));
+    }
+  }
+}
+
+/**
+ * Puts the cursor at a point.
+ * 
+ * @param {Node} node - Node the cursor is in
+ * @param {number} offset - Offset in the node
+ */
+function placeCaret(node, offset) {
+  const range = document.createRange();
+  range.setStart(node, offset);
+  range.collapse(true);
+  window.getSelection().removeAllRanges();
+  window.getSelection().addRange(range);
+}
+
+describe("contentEditable", () => {
+  let host;
+
+  beforeEach(() => {
+    host = document.createElement("div");
+    host.setAttribute("contenteditable", "true");
+    document.body.appendChild(host);
+    host.focus();
+    placeCaret(host, 0);
+    HawaiianInput.install({ revertOnBackspace: true });
+  });
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    host.remove();
+  });
+
+  it("replaces a dead key sequence", () => {
+    type(host, "k`ane");
+    assert.equal(host.textContent, "kāne");
+  });
+
+  it("replaces a dead key typed before a bold boundary", () => {
+    type(host, "k`");
+    const bold = document.createElement("b");
+    host.appendChild(bold);
+    placeCaret(bold, 0);
+    type(host, "a");
+    assert.equal(host.textContent, "kā");
+  });
+
+  it("inserts nothing when the dead key is no longer before the cursor", () => {
+    host.innerHTML = "<p>k</p><p></p>";
+    placeCaret(host.firstChild.firstChild, 1);
+    type(host, "`");
+
+    // A listener moves the cursor to the next paragraph
+    const move = () => placeCaret(host.lastChild, 0);
+    host.addEventListener("hawaiian:transform", move);
+    try {
+      type(host, "a");
+    } finally {
+      host.removeEventListener("hawaiian:transform", move);
+    }
+    assert.equal(host.innerHTML, "<p>k`</p><p></p>");
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * Shared jsdom setup for the tests that need a DOM. Requiring this file
+ * creates the document, exposes the globals the library reads, as it would
+ * find them in a browser, and loads the library.
+ */
+
+const { JSDOM } = require("jsdom");
+
+const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+const { window } = dom;
+
+for (const name of ["window", "document", "Node", "Event", "CustomEvent", "InputEvent", "KeyboardEvent", "NodeFilter", "MutationObserver", "getComputedStyle"]) {
+  global[name] = name === "window" ? window : window[name];
+}
+
+// Node 21 and later have their own, read-only navigator
+if (typeof navigator === "undefined") {
+  global.navigator = window.navigator;
+}
+
+// jsdom doesn't implement isContentEditable
+Object.defineProperty(window.HTMLElement.prototype, "isContentEditable", {
+  configurable: true,
+  get() {
+    const host = this.closest("[contenteditable]");
+    return Boolean(host) && host.getAttribute("contenteditable") !== "false";
+  }
+});
+
+const HawaiianInput = require("../hawaiian-input.js");
+
+/**
+ * Types text into a form field the way a browser does: a cancelable
+ * beforeinput for each character, then, unless canceled, the change and
+ * an input event.
+ * 
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - The field
+ * @param {string} text - The characters to type
+ */
+function type(field, text) {
+  for (const char of text) {
+    const init = { data: char, inputType: "insertText", bubbles: true, composed: true };
+    if (field.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }))) {
+      field.setRangeText(char, field.selectionStart, field.selectionEnd, "end");
+      field.dispatchEvent(new window.InputEvent("input", init));
+    }
+  }
+}
+
+/**
+ * Presses a key, sending only the keydown.
+ * 
+ * @param {HTMLElement} field - The focused field
+ * @param {string} key - The KeyboardEvent key value
+ * @param {Object} [modifiers] - ctrlKey, altKey and the like
+ * @returns {boolean} False if the keydown was canceled
+ */
+function press(field, key, modifiers = {}) {
+  const init = { key, bubbles: true, cancelable: true, composed: true, ...modifiers };
+  return field.dispatchEvent(new window.KeyboardEvent("keydown", init));
+}
+
+/**
+ * Presses Backspace in a form field: the keydown, the beforeinput and,
+ * unless either is canceled, the deletion and an input event.
+ * 
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - The field
+ * @param {string} [key="Backspace"] - The keydown's key; Android
+ *   keyboards send "Unidentified"
+ */
+function backspace(field, key = "Backspace") {
+  if (!press(field, key)) {
+    return;
+  }
+  const init = { inputType: "deleteContentBackward", bubbles: true, composed: true };
+  if (field.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }))) {
+    const end = field.selectionEnd;
+    const start = field.selectionStart === end ? Math.max(0, end - 1) : field.selectionStart;
+    field.setRangeText("", start, end, "end");
+    field.dispatchEvent(new window.InputEvent("input", init));
+  }
+}
+
+module.exports = { window, document: window.document, HawaiianInput, type, press, backspace };
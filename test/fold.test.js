@@ -0,0 +1,90 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const HawaiianInput = require("../hawaiian-input.js");
+
+const { fold, compare } = HawaiianInput;
+
+describe("fold", () => {
+  it("strips kahakō and ʻokina", () => {
+    assert.equal(fold("Hawaiʻi"), "Hawaii");
+    assert.equal(fold("ʻŌlelo Hawaiʻi"), "Olelo Hawaii");
+  });
+
+  it("strips ʻokina look-alikes", () => {
+    for (const lookalike of ["'", "‘", "’", "`"]) {
+      assert.equal(fold(`Hawai${lookalike}i`), "Hawaii");
+    }
+  });
+
+  it("strips decomposed macrons", () => {
+    assert.equal(fold("ka\u0304ne"), "kane");
+  });
+
+  it("keeps case, whitespace and other characters", () => {
+    assert.equal(fold("  Kāne\tWahine 42 "), "  Kane\tWahine 42 ");
+    assert.equal(fold("café"), "café");
+  });
+
+  it("makes differently typed names match", () => {
+    assert.equal(fold("Lānaʻi"), fold("Lana'i"));
+    assert.equal(fold("Lānaʻi"), fold("La\u0304na‘i"));
+  });
+
+  it("throws on misuse", () => {
+    assert.throws(() => fold(null), TypeError);
+  });
+});
+
+describe("compare", () => {
+  it("sorts in Hawaiian alphabetical order", () => {
+    const words = ["ʻulu", "hale", "ʻāina", "aloha", "wai", "kai", "eʻe"];
+    assert.deepEqual(words.sort(compare), ["aloha", "eʻe", "hale", "kai", "wai", "ʻāina", "ʻulu"]);
+  });
+
+  it("sorts the ʻokina after every other letter", () => {
+    assert.ok(compare("aw", "aʻ") < 0);
+    assert.ok(compare("ʻa", "wa") > 0);
+  });
+
+  it("counts apostrophes as ʻokina", () => {
+    assert.equal(Math.sign(compare("'ulu", "wai")), 1);
+    assert.ok(compare("Hawai'i", "Hawaiʻi") !== 0);
+  });
+
+  it("sorts a vowel with a kahakō with the plain vowel", () => {
+    assert.ok(compare("āina", "ala") < 0, "ā sorts as a");
+    assert.ok(compare("kane", "kāne") < 0, "the plain vowel comes first in a tie");
+    assert.ok(compare("kāne", "kane") > 0);
+  });
+
+  it("puts lowercase before uppercase in a tie", () => {
+    assert.ok(compare("hilo", "Hilo") < 0);
+  });
+
+  it("puts spaces, digits and punctuation before letters", () => {
+    assert.ok(compare("a b", "ab") < 0);
+    assert.ok(compare("a1", "aa") < 0);
+  });
+
+  it("puts letters outside the Hawaiian alphabet after it", () => {
+    assert.ok(compare("ʻa", "ba") < 0);
+    assert.ok(compare("wai", "zoo") < 0);
+  });
+
+  it("returns 0 only for equal texts", () => {
+    assert.equal(compare("aloha", "aloha"), 0);
+    assert.equal(compare("", ""), 0);
+    assert.ok(compare("", "a") < 0);
+  });
+
+  it("treats decomposed and composed macrons the same", () => {
+    assert.equal(compare("ka\u0304ne", "kāne"), 0);
+  });
+
+  it("throws on misuse", () => {
+    assert.throws(() => compare("a"), TypeError);
+    assert.throws(() => compare(1, 2), TypeError);
+  });
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { document, HawaiianInput, type } = require("./dom.js");
+
+describe("install() and attach() together", () => {
+  let container;
+  let instance;
+
+  afterEach(() => {
+    if (instance) {
+      instance.detach();
+      instance = null;
+    }
+    HawaiianInput.uninstall();
+    container.remove();
+  });
+
+  it("leaves a field inside an attached element to that instance", () => {
+    container = document.createElement("div");
+    container.innerHTML = "<input>";
+    document.body.appendChild(container);
+    HawaiianInput.install({ deadKeyStrict: true });
+    instance = HawaiianInput.attach(container, { deadKeyStrict: true });
+
+    const field = container.querySelector("input");
+    type(field, "`a");
+    assert.equal(field.value, "ā");
+  });
+
+  it("finds a field in a shadow root inside the attached element", () => {
+    container = document.createElement("div");
+    const host = document.createElement("div");
+    container.appendChild(host);
+    document.body.appendChild(container);
+    host.attachShadow({ mode: "open" }).innerHTML = "<input>";
+    HawaiianInput.install({ deadKeyStrict: true });
+    instance = HawaiianInput.attach(container, { deadKeyStrict: true });
+
+    const field = host.shadowRoot.querySelector("input");
+    type(field, "`a");
+    assert.equal(field.value, "ā");
+  });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const HawaiianInput = require("../hawaiian-input.js");
+
+const { normalize } = HawaiianInput;
+
+describe("normalize", () => {
+  describe("compose", () => {
+    it("composes decomposed macrons", () => {
+      assert.equal(normalize("ka\u0304ne"), "kāne");
+      assert.equal(normalize("O\u0304ahu"), "Ōahu");
+    });
+
+    it("leaves text that is already composed as it is", () => {
+      assert.equal(normalize("kāne wahine"), "kāne wahine");
+    });
+
+    it("can be turned off", () => {
+      assert.equal(normalize("ka\u0304ne", { compose: false }), "ka\u0304ne");
+    });
+  });
+
+  describe("deadKeys", () => {
+    it("converts dead key sequences", () => {
+      assert.equal(normalize("k`ane \\Oahu Hawai`'i"), "kāne Ōahu Hawaiʻi");
+    });
+
+    it("leaves a backtick before other characters alone", () => {
+      assert.equal(normalize("`x` and `"), "`x` and `");
+    });
+
+    it("follows a custom keymap", () => {
+      const keymap = { deadKeys: { "~": { a: "ā" } } };
+      assert.equal(normalize("k~ane k`ane", { keymap, okina: false }), "kāne k`ane");
+    });
+
+    it("can be turned off", () => {
+      assert.equal(normalize("k`ane", { deadKeys: false, okina: false }), "k`ane");
+    });
+  });
+
+  describe("okina", () => {
+    it("replaces ʻokina look-alikes inside Hawaiian words", () => {
+      for (const lookalike of ["'", "‘", "’"]) {
+        assert.equal(normalize(`Hawai${lookalike}i`), "Hawaiʻi");
+      }
+    });
+
+    it("treats a backtick as an ʻokina once dead keys are off", () => {
+      assert.equal(normalize("Hawai`i", { deadKeys: false }), "Hawaiʻi");
+      assert.equal(normalize("Hawai`i"), "Hawaiī");
+    });
+
+    it("replaces a look-alike at the start of a Hawaiian word", () => {
+      assert.equal(normalize("'ōlelo"), "ʻōlelo");
+    });
+
+    it("keeps English contractions, possessives and quotes", () => {
+      const text = "Don't touch Kalani's 'quote' or ‘this’.";
+      assert.equal(normalize(text), text);
+    });
+
+    it("keeps the surrounding whitespace", () => {
+      assert.equal(normalize("  Hawai'i\n\tnei  "), "  Hawaiʻi\n\tnei  ");
+    });
+
+    it("leaves an ʻokina that is already right", () => {
+      assert.equal(normalize("Hawaiʻi"), "Hawaiʻi");
+    });
+
+    it("can be turned off", () => {
+      assert.equal(normalize("Hawai'i", { okina: false }), "Hawai'i");
+    });
+  });
+
+  it("runs all steps together", () => {
+    assert.equal(normalize("`olelo Hawai'i ka\u0304ne"), "ōlelo Hawaiʻi kāne");
+  });
+
+  it("returns an empty string for an empty string", () => {
+    assert.equal(normalize(""), "");
+  });
+
+  it("throws on misuse", () => {
+    assert.throws(() => normalize(null), TypeError);
+    assert.throws(() => normalize(42), TypeError);
+  });
+});
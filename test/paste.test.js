@@ -0,0 +1,80 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput, type } = require("./dom.js");
+
+/**
+ * Pastes text into a form field the way a browser does: a paste event,
+ * then, unless it is canceled, beforeinput, the change and input.
+ * 
+ * @param {HTMLInputElement} field - The field
+ * @param {string} text - The pasted text
+ */
+function paste(field, text) {
+  if (!field.dispatchEvent(new window.Event("paste", { bubbles: true, cancelable: true, composed: true }))) {
+    return;
+  }
+  const init = { data: text, inputType: "insertFromPaste", bubbles: true, composed: true };
+  if (field.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }))) {
+    field.setRangeText(text, field.selectionStart, field.selectionEnd, "end");
+    field.dispatchEvent(new window.InputEvent("input", init));
+  }
+}
+
+describe("normalizePaste", () => {
+  let field;
+  let inputs;
+  const record = () => inputs.push(field.value);
+
+  beforeEach(() => {
+    field = document.createElement("input");
+    document.body.appendChild(field);
+    field.focus();
+    inputs = [];
+    field.addEventListener("input", record);
+    HawaiianInput.install({ normalizePaste: true });
+  });
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    field.remove();
+  });
+
+  it("normalizes the pasted text within the paste's own input event", () => {
+    paste(field, "Hawai'i k`ane");
+    assert.equal(field.value, "Hawaiʻi kāne");
+    assert.deepEqual(inputs, ["Hawaiʻi kāne"]);
+  });
+
+  it("only touches the text that was added", () => {
+    field.value = "`a ";
+    field.setSelectionRange(3, 3);
+    paste(field, "`e");
+    assert.equal(field.value, "`a ē");
+  });
+
+  it("doesn't arm a dead key from pasted text", () => {
+    HawaiianInput.install({ normalizePaste: false });
+    paste(field, "`");
+    type(field, "a");
+    assert.equal(field.value, "`a");
+  });
+
+  it("forgets a paste the page canceled", () => {
+    const cancel = (event) => event.preventDefault();
+    document.addEventListener("paste", cancel);
+    try {
+      paste(field, "`a");
+    } finally {
+      document.removeEventListener("paste", cancel);
+    }
+
+    // A keyboard's autocorrect replacement is not the paste
+    const init = { data: "k`a", inputType: "insertReplacementText", bubbles: true };
+    field.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }));
+    field.setRangeText("k`a", 0, 0, "end");
+    field.dispatchEvent(new window.InputEvent("input", init));
+    assert.equal(field.value, "k`a");
+  });
+});
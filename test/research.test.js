@@ -0,0 +1,87 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput, type, backspace } = require("./dom.js");
+const HawaiianInputResearch = require("../hawaiian-input-research.js");
+
+/**
+ * Waits for the records of transforms, which are made once their event
+ * has been dispatched.
+ * 
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("research logger", () => {
+  let field;
+  let logger;
+
+  /**
+   * Lists the types of the field's records, with the method of each
+   * transform and correction.
+   * 
+   * @returns {string[]} Such as ["armed", "transform deadkey"]
+   */
+  function recorded() {
+    const records = logger.getRecords().answer || [];
+    return records.map((entry) => (entry.method ? `${entry.type} ${entry.method}` : entry.type));
+  }
+
+  beforeEach(() => {
+    field = document.createElement("input");
+    field.name = "answer";
+    document.body.appendChild(field);
+    field.focus();
+    HawaiianInput.install({ revertOnBackspace: true });
+    logger = HawaiianInputResearch.createLogger();
+  });
+
+  afterEach(() => {
+    logger.destroy();
+    HawaiianInput.uninstall();
+    field.remove();
+  });
+
+  it("records a dead key and the transform it makes", async () => {
+    type(field, "k`a");
+    await settle();
+    assert.deepEqual(recorded(), ["armed", "transform deadkey"]);
+    const transform = logger.getRecords().answer[1];
+    assert.equal(transform.characters, "ā");
+    assert.equal(transform.key, "`");
+  });
+
+  it("records a revert as a correction only", async () => {
+    type(field, "`a");
+    await settle();
+    backspace(field);
+    await settle();
+    assert.equal(field.value, "`a");
+    assert.deepEqual(recorded(), ["armed", "transform deadkey", "correction deadkey"]);
+  });
+
+  it("leaves out changes that aren't typing", async () => {
+    for (const method of ["palette", "paste", "convert", "submit", "revert"]) {
+      const detail = { source: "a", output: "ā", method, element: field };
+      field.dispatchEvent(new window.CustomEvent("hawaiian:transform", { detail, bubbles: true, cancelable: true }));
+    }
+    await settle();
+    assert.deepEqual(recorded(), []);
+  });
+
+  it("loads and records nothing without a document", () => {
+    const saved = global.document;
+    delete global.document;
+    try {
+      const inert = HawaiianInputResearch.createLogger();
+      assert.equal(inert.flush(), null);
+      assert.deepEqual(inert.getRecords(), {});
+      inert.destroy();
+    } finally {
+      global.document = saved;
+    }
+  });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput, type, press, backspace } = require("./dom.js");
+
+describe("revertOnBackspace", () => {
+  let field;
+
+  beforeEach(() => {
+    field = document.createElement("input");
+    document.body.appendChild(field);
+    field.focus();
+    HawaiianInput.install({ revertOnBackspace: true });
+  });
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    field.remove();
+  });
+
+  it("puts back the dead key sequence, then deletes as usual", () => {
+    type(field, "k`a");
+    assert.equal(field.value, "kā");
+    backspace(field);
+    assert.equal(field.value, "k`a");
+    backspace(field);
+    assert.equal(field.value, "k`");
+  });
+
+  it("puts back the key typed with a modifier", () => {
+    type(field, "k");
+    assert.equal(press(field, "a", { ctrlKey: true }), false);
+    assert.equal(field.value, "kā");
+    backspace(field);
+    assert.equal(field.value, "ka");
+  });
+
+  it("announces the revert with method revert", () => {
+    const details = [];
+    const record = (event) => details.push(event.detail);
+    type(field, "`o");
+    document.addEventListener("hawaiian:transform", record);
+    try {
+      backspace(field);
+    } finally {
+      document.removeEventListener("hawaiian:transform", record);
+    }
+    assert.deepEqual(details.map(({ source, output, method }) => ({ source, output, method })), [
+      { source: "ō", output: "`o", method: "revert" }
+    ]);
+  });
+
+  it("survives Android's Unidentified keydown", () => {
+    type(field, "`a");
+    backspace(field, "Unidentified");
+    assert.equal(field.value, "`a");
+  });
+
+  it("deletes normally after the arrow keys move the cursor", () => {
+    type(field, "k`a");
+    press(field, "ArrowLeft");
+    field.setSelectionRange(1, 1);
+    press(field, "ArrowRight");
+    field.setSelectionRange(2, 2);
+    backspace(field);
+    assert.equal(field.value, "k");
+  });
+
+  it("deletes normally after a click", () => {
+    type(field, "k`a");
+    field.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+    backspace(field);
+    assert.equal(field.value, "k");
+  });
+
+  it("deletes normally when the cursor is no longer after the character", () => {
+    type(field, "k`a");
+    field.setSelectionRange(1, 1);
+    backspace(field);
+    assert.equal(field.value, "ā");
+  });
+
+  it("is off by default", () => {
+    HawaiianInput.install();
+    type(field, "`a");
+    backspace(field);
+    assert.equal(field.value, "");
+  });
+});
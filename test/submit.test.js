@@ -0,0 +1,63 @@
+"use strict";
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput } = require("./dom.js");
+
+/**
+ * Submits a form the way the browser announces it, without navigating.
+ * 
+ * @param {HTMLFormElement} form - The form
+ */
+function submit(form) {
+  form.dispatchEvent(new window.Event("submit", { bubbles: true, cancelable: true }));
+}
+
+describe("normalizeOnSubmit", () => {
+  let host;
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    host.remove();
+  });
+
+  it("normalizes the fields of a submitted form", () => {
+    host = document.createElement("form");
+    host.innerHTML = "<input name=a><textarea name=b></textarea>";
+    document.body.appendChild(host);
+    HawaiianInput.install({ normalizeOnSubmit: true });
+
+    host.elements.a.value = "Hawai‘i";
+    host.elements.b.value = "ka\u0304ne";
+    submit(host);
+    assert.equal(host.elements.a.value, "Hawaiʻi");
+    assert.equal(host.elements.b.value, "kāne");
+  });
+
+  it("covers a form inside a shadow root", () => {
+    host = document.createElement("div");
+    document.body.appendChild(host);
+    host.attachShadow({ mode: "open" }).innerHTML = "<form><input name=a></form>";
+    HawaiianInput.install({ normalizeOnSubmit: true });
+
+    const form = host.shadowRoot.querySelector("form");
+    form.elements.a.focus();
+    form.elements.a.value = "Hawai'i";
+    submit(form);
+    assert.equal(form.elements.a.value, "Hawaiʻi");
+  });
+
+  it("stops once uninstalled", () => {
+    host = document.createElement("div");
+    document.body.appendChild(host);
+    host.attachShadow({ mode: "open" }).innerHTML = "<form><input name=a></form>";
+    HawaiianInput.install({ normalizeOnSubmit: true });
+
+    const form = host.shadowRoot.querySelector("form");
+    form.elements.a.focus();
+    HawaiianInput.uninstall();
+    form.elements.a.value = "Hawai'i";
+    submit(form);
+    assert.equal(form.elements.a.value, "Hawai'i");
+  });
+});
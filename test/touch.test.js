@@ -0,0 +1,252 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { window, document, HawaiianInput, press } = require("./dom.js");
+
+/**
+ * Types one character into a field the way a touch keyboard does: a
+ * cancelable beforeinput, then, unless canceled, the change and an
+ * input event.
+ * 
+ * @param {HTMLInputElement} field - The field
+ * @param {string} char - The character
+ */
+function tap(field, char) {
+  const init = { data: char, inputType: "insertText", bubbles: true, composed: true };
+  if (field.dispatchEvent(new window.InputEvent("beforeinput", { ...init, cancelable: true }))) {
+    field.setRangeText(char, field.selectionStart, field.selectionEnd, "end");
+    field.dispatchEvent(new window.InputEvent("input", init));
+  }
+}
+
+/**
+ * Types a word through IME composition, as most Android keyboards do:
+ * each key updates the composition text, which can't be canceled.
+ * 
+ * @param {HTMLInputElement} field - The field
+ * @param {string[]} updates - The composition text after each key
+ */
+function compose(field, updates) {
+  const start = field.selectionStart;
+  let length = 0;
+
+  field.dispatchEvent(new window.CompositionEvent("compositionstart", { data: "", bubbles: true }));
+  for (const text of updates) {
+    const init = { data: text, inputType: "insertCompositionText", bubbles: true, composed: true, isComposing: true };
+    field.dispatchEvent(new window.InputEvent("beforeinput", init));
+    field.setRangeText(text, start, start + length, "end");
+    length = text.length;
+    field.dispatchEvent(new window.InputEvent("input", init));
+  }
+}
+
+/**
+ * Ends a composition started with compose().
+ * 
+ * @param {HTMLInputElement} field - The field
+ */
+function endComposition(field) {
+  field.dispatchEvent(new window.CompositionEvent("compositionend", { data: "", bubbles: true }));
+}
+
+/**
+ * Finds the touch chooser if it is showing.
+ * 
+ * @returns {HTMLElement|null} The chooser
+ */
+function getVisibleChooser() {
+  const chooser = document.querySelector(".hawaiian-input-chooser");
+  return chooser && chooser.style.display !== "none" ? chooser : null;
+}
+
+describe("touch mode", () => {
+  let field;
+
+  beforeEach(() => {
+    field = document.createElement("input");
+    document.body.appendChild(field);
+    field.focus();
+    HawaiianInput.install({ touch: true });
+  });
+
+  afterEach(() => {
+    HawaiianInput.uninstall();
+    field.remove();
+  });
+
+  describe("double vowel", () => {
+    it("opens the chooser and replaces both vowels with the macron", () => {
+      for (const char of "kaa") {
+        tap(field, char);
+      }
+      assert.equal(field.value, "kaa");
+
+      const chooser = getVisibleChooser();
+      assert.ok(chooser, "chooser is showing");
+      const buttons = chooser.querySelectorAll("button");
+      assert.deepEqual([...buttons].map((button) => button.textContent), ["ā", "aʻa"]);
+
+      buttons[0].click();
+      assert.equal(field.value, "kā");
+      assert.equal(getVisibleChooser(), null);
+    });
+
+    it("puts an ʻokina between the vowels with the second choice", () => {
+      tap(field, "o");
+      tap(field, "o");
+      getVisibleChooser().querySelectorAll("button")[1].click();
+      assert.equal(field.value, "oʻo");
+    });
+
+    it("keeps the vowels as typed when typing goes on", () => {
+      for (const char of "Hawaii ") {
+        tap(field, char);
+      }
+      assert.equal(field.value, "Hawaii ");
+      assert.equal(getVisibleChooser(), null);
+    });
+
+    it("ignores taps further apart than touchDelay", () => {
+      const realNow = Date.now;
+      try {
+        let time = 0;
+        Date.now = () => time;
+        tap(field, "a");
+        time = 1000;
+        tap(field, "a");
+      } finally {
+        Date.now = realNow;
+      }
+      assert.equal(getVisibleChooser(), null);
+    });
+
+    it("announces the choice like any other transformation", () => {
+      const details = [];
+      const record = (event) => details.push({ ...event.detail });
+      document.addEventListener("hawaiian:transform", record);
+      try {
+        tap(field, "u");
+        tap(field, "u");
+        getVisibleChooser().querySelector("button").click();
+      } finally {
+        document.removeEventListener("hawaiian:transform", record);
+      }
+      assert.deepEqual(details, [{ source: "uu", output: "ū", method: "touch", element: field }]);
+    });
+
+    it("can be canceled through hawaiian:transform", () => {
+      const cancel = (event) => event.preventDefault();
+      document.addEventListener("hawaiian:transform", cancel);
+      try {
+        tap(field, "e");
+        tap(field, "e");
+        getVisibleChooser().querySelector("button").click();
+      } finally {
+        document.removeEventListener("hawaiian:transform", cancel);
+      }
+      assert.equal(field.value, "ee");
+    });
+  });
+
+  describe("long press", () => {
+    /**
+     * Holds a key down: the first keydown types the character, and the
+     * ones that repeat it follow.
+     * 
+     * @param {string} key - The key
+     * @param {number} repeats - How many times the key repeats
+     * @returns {boolean[]} For each repeat, false if it was canceled
+     */
+    function hold(key, repeats) {
+      if (press(field, key)) {
+        tap(field, key);
+      }
+      return Array.from({ length: repeats }, () => press(field, key, { repeat: true }));
+    }
+
+    it("opens the chooser for the held vowel instead of repeating it", () => {
+      tap(field, "k");
+      assert.deepEqual(hold("a", 3), [false, false, false]);
+      assert.equal(field.value, "ka");
+
+      const buttons = getVisibleChooser().querySelectorAll("button");
+      assert.deepEqual([...buttons].map((button) => button.textContent), ["ā", "ʻa"]);
+      buttons[0].click();
+      assert.equal(field.value, "kā");
+    });
+
+    it("puts an ʻokina before the vowel with the second choice", () => {
+      hold("O", 1);
+      getVisibleChooser().querySelectorAll("button")[1].click();
+      assert.equal(field.value, "ʻO");
+    });
+
+    it("leaves other held keys and modifier chords alone", () => {
+      assert.deepEqual(hold("k", 1), [true]);
+      assert.equal(press(field, "a", { repeat: true, ctrlKey: true }), false, "the chord still maps");
+      assert.equal(field.value, "kā");
+      assert.equal(getVisibleChooser(), null);
+    });
+
+    it("is off without the touch option", () => {
+      HawaiianInput.install({ touch: false });
+      assert.deepEqual(hold("a", 1), [true]);
+      assert.equal(getVisibleChooser(), null);
+    });
+  });
+
+  describe("double apostrophe", () => {
+    it("types an ʻokina", () => {
+      const methods = [];
+      const record = (event) => methods.push(event.detail.method);
+      document.addEventListener("hawaiian:transform", record);
+      try {
+        for (const char of "''ae") {
+          tap(field, char);
+        }
+      } finally {
+        document.removeEventListener("hawaiian:transform", record);
+      }
+      assert.equal(field.value, "ʻae");
+      assert.deepEqual(methods, ["touch"]);
+    });
+
+    it("accepts curly apostrophes", () => {
+      tap(field, "’");
+      tap(field, "’");
+      assert.equal(field.value, "ʻ");
+    });
+
+    it("is off without the touch option", () => {
+      HawaiianInput.install({ touch: false });
+      tap(field, "'");
+      tap(field, "'");
+      assert.equal(field.value, "''");
+    });
+  });
+
+  describe("composing keyboards", () => {
+    it("offers the chooser for a vowel doubled in a composition", () => {
+      compose(field, ["k", "ka", "kaa"]);
+      const chooser = getVisibleChooser();
+      assert.ok(chooser, "chooser is showing");
+
+      endComposition(field);
+      chooser.querySelector("button").click();
+      assert.equal(field.value, "kā");
+    });
+
+    it("doesn't count a suggestion picked from the keyboard as taps", () => {
+      compose(field, ["k", "kaa"]);
+      assert.equal(getVisibleChooser(), null);
+      endComposition(field);
+    });
+
+    it("leaves the text alone while composing", () => {
+      compose(field, ["'", "''"]);
+      assert.equal(field.value, "''");
+      endComposition(field);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const HawaiianInput = require("../hawaiian-input.js");
+
+const { validate } = HawaiianInput;
+
+describe("validate", () => {
+  it("finds nothing in text that looks right", () => {
+    assert.deepEqual(validate("Aloha kāua, Hawaiʻi nei."), []);
+    assert.deepEqual(validate(""), []);
+  });
+
+  it("reports a decomposed macron with its composed form", () => {
+    assert.deepEqual(validate("ka\u0304ne"), [
+      { type: "macron", index: 1, length: 2, text: "a\u0304", suggestion: "ā" }
+    ]);
+  });
+
+  it("reports ʻokina look-alikes where an ʻokina belongs", () => {
+    for (const lookalike of ["'", "‘", "’", "`"]) {
+      assert.deepEqual(validate(`Hawai${lookalike}i`), [
+        { type: "okina", index: 5, length: 1, text: lookalike, suggestion: "ʻ" }
+      ]);
+    }
+  });
+
+  it("leaves English contractions and quotes alone", () => {
+    assert.deepEqual(validate("Don't 'quote' Kalani's ‘words’"), []);
+  });
+
+  it("counts indexes in UTF-16 code units, past whitespace and marks", () => {
+    const text = "\t ka\u0304ne  o Hawai'i\n";
+    const issues = validate(text);
+    assert.deepEqual(issues.map((issue) => issue.type), ["macron", "okina"]);
+    for (const issue of issues) {
+      assert.equal(text.slice(issue.index, issue.index + issue.length), issue.text);
+    }
+  });
+
+  it("lists issues in order of appearance", () => {
+    const issues = validate("Hawai'i ka\u0304ne ʻo Maui'i");
+    assert.deepEqual(issues.map((issue) => issue.index), [5, 9, 21]);
+  });
+
+  it("returns frozen results", () => {
+    const issues = validate("Hawai'i");
+    assert.ok(Object.isFrozen(issues));
+    assert.ok(Object.isFrozen(issues[0]));
+  });
+
+  it("throws on misuse", () => {
+    assert.throws(() => validate(undefined), TypeError);
+  });
+});